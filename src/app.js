@@ -9,6 +9,12 @@ import fileUpload from "express-fileupload";
 // import morgan from "morgan"; 
 import { logger } from './logger.js';
 import { initializeScheduler } from './controllers/schedule.js';
+import { initializeWebhookDispatcher } from './controllers/instanceWebhooks.js';
+import { initializeSendJobRecovery } from './controllers/sendJobs.js';
+import { initializeRecurringScheduler } from './controllers/recurringSchedules.js';
+import { initializeFailoverMonitor } from './controllers/failover.js';
+import { initializeInstanceRestore } from './controllers/instanceRestore.js';
+import { initializeStatusReconciliation } from './controllers/statusReconciliation.js';
 
 const app = express();
 
@@ -60,9 +66,27 @@ app.use(fileUpload({
 
 app.use("/", router);
 
+// Reconnect the paired instances before the schedulers need them
+initializeInstanceRestore();
+
 // Initialize the message scheduler
 initializeScheduler();
 
+// Initialize the outbound webhook retry dispatcher
+initializeWebhookDispatcher();
+
+// Resume send jobs left unfinished by a restart
+initializeSendJobRecovery();
+
+// Queue occurrences of recurring schedules
+initializeRecurringScheduler();
+
+// Move pending work off instances that stay disconnected
+initializeFailoverMonitor();
+
+// Apply late receipts and give up on messages never acknowledged
+initializeStatusReconciliation();
+
 // Middleware for handling 404 errors
 app.use(notFoundHandler);
 
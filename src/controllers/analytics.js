@@ -0,0 +1,270 @@
+// src/controllers/analytics.js
+
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+import { buildReportFilters } from './reports.js';
+import { getDefaultTimeZone, isValidTimeZone, toZonedWallClock } from './timezones.js';
+
+// Read times are grouped in 15 minute buckets in SQL, fine enough for timezones like +05:30 and +05:45
+const BUCKET_SECONDS = 900;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Function to get a count as a percentage of another, rounded to two decimals
+const percentOf = (count, of) => (of > 0 ? Math.round((count / of) * 10000) / 100 : null);
+
+// Function to check that a campaign belongs to the instance
+const campaignBelongsToInstance = async (instanceId, campaignId) => {
+    const pool = await connectDB();
+    const [rows] = await pool.query(
+        'SELECT id FROM campaigns WHERE id = ? AND instance_id = ?',
+        [campaignId, instanceId]
+    );
+    return rows.length > 0;
+};
+
+// When a message was sent. Scheduled rows sent before the scheduler recorded sent_time fall back to when they were due,
+// not to when they were scheduled, and other rows to when they were queued
+const SENT_TIME_COLUMN = 'COALESCE(r.sent_time, m.schedule_time, r.initiated_time)';
+
+// Function to get percentiles from { seconds, count } rows sorted by seconds, without loading every sample
+const getPercentiles = (rows, percentiles) => {
+    const samples = rows.reduce((sum, row) => sum + Number(row.count), 0);
+    const result = { samples };
+    if (samples === 0) {
+        percentiles.forEach(([name]) => { result[name] = null; });
+        return result;
+    }
+
+    percentiles.forEach(([name, percentile]) => {
+        // Nearest-rank percentile
+        const rank = Math.max(Math.ceil(percentile * samples), 1);
+        let seen = 0;
+        for (const row of rows) {
+            seen += Number(row.count);
+            if (seen >= rank) {
+                result[name] = Number(row.seconds);
+                break;
+            }
+        }
+    });
+    return result;
+};
+
+// Function to get the median and p95 of the seconds between two report_time columns
+const getLatency = async (pool, filters, fromColumn, toColumn) => {
+    const [rows] = await pool.query(
+        `SELECT TIMESTAMPDIFF(SECOND, ${fromColumn}, ${toColumn}) AS seconds, COUNT(*) AS count
+         FROM media_messages m
+         JOIN report_time r ON r.whatsapp_message_id = m.whatsapp_message_id
+         WHERE ${filters.where} AND ${fromColumn} IS NOT NULL AND ${toColumn} >= ${fromColumn}
+         GROUP BY seconds
+         ORDER BY seconds ASC`,
+        filters.params
+    );
+    const { samples, medianSeconds, p95Seconds } = getPercentiles(rows, [['medianSeconds', 0.5], ['p95Seconds', 0.95]]);
+    return { samples, medianSeconds, p95Seconds };
+};
+
+// Function to spread counts per time bucket over weekday / hour of day in a timezone
+const toWallClockHours = (rows, timeZone) => rows.map(row => {
+    const wallClock = toZonedWallClock(new Date(Number(row.bucket) * BUCKET_SECONDS * 1000), timeZone);
+    return { day: wallClock.getUTCDay(), hour: wallClock.getUTCHours(), count: Number(row.count), read: Number(row.read || 0) };
+});
+
+// Function to compute delivery and read analytics for the messages matching the filters
+const computeLatencyAnalytics = async (filters, timeZone) => {
+    const pool = await connectDB();
+
+    const [statusRows] = await pool.query(
+        `SELECT m.message_status, COUNT(*) AS count
+         FROM media_messages m
+         WHERE ${filters.where}
+         GROUP BY m.message_status`,
+        filters.params
+    );
+    const counts = { pending: 0, sent: 0, delivered: 0, read: 0, failed: 0, unknown: 0, cancelled: 0 };
+    statusRows.forEach(row => { counts[row.message_status] = Number(row.count); });
+
+    // Read messages were delivered too, and delivered ones were sent
+    const delivered = counts.delivered + counts.read;
+    const sent = counts.sent + delivered;
+
+    const timeToDeliver = await getLatency(pool, filters, SENT_TIME_COLUMN, 'r.delivered_time');
+    const timeToRead = await getLatency(pool, filters, SENT_TIME_COLUMN, 'r.read_time');
+
+    // When recipients read their messages
+    const [readRows] = await pool.query(
+        `SELECT FLOOR(UNIX_TIMESTAMP(r.read_time) / ${BUCKET_SECONDS}) AS bucket, COUNT(*) AS count
+         FROM media_messages m
+         JOIN report_time r ON r.whatsapp_message_id = m.whatsapp_message_id
+         WHERE ${filters.where} AND r.read_time IS NOT NULL
+         GROUP BY bucket`,
+        filters.params
+    );
+    const readHeatmap = DAY_NAMES.map(day => ({ day, hours: new Array(24).fill(0) }));
+    toWallClockHours(readRows, timeZone).forEach(({ day, hour, count }) => { readHeatmap[day].hours[hour] += count; });
+
+    // How often messages sent at each hour get read
+    const [sendRows] = await pool.query(
+        `SELECT FLOOR(UNIX_TIMESTAMP(${SENT_TIME_COLUMN}) / ${BUCKET_SECONDS}) AS bucket,
+                COUNT(*) AS count, SUM(r.read_time IS NOT NULL) AS \`read\`
+         FROM media_messages m
+         JOIN report_time r ON r.whatsapp_message_id = m.whatsapp_message_id
+         WHERE ${filters.where} AND ${SENT_TIME_COLUMN} IS NOT NULL
+         GROUP BY bucket`,
+        filters.params
+    );
+    const bySendHour = Array.from({ length: 24 }, (_, hour) => ({ hour, sent: 0, read: 0, readRate: null }));
+    toWallClockHours(sendRows, timeZone).forEach(({ hour, count, read }) => {
+        bySendHour[hour].sent += count;
+        bySendHour[hour].read += read;
+    });
+    bySendHour.forEach(entry => { entry.readRate = percentOf(entry.read, entry.sent); });
+
+    return {
+        timeZone,
+        counts,
+        deliveryRate: percentOf(delivered, sent),
+        readRate: percentOf(counts.read, delivered),
+        timeToDeliver,
+        timeToRead,
+        readHeatmap,
+        bySendHour
+    };
+};
+
+// Function to validate the timezone of the heatmaps from the query string
+const getAnalyticsTimeZone = (query) => {
+    const timeZone = query.timezone || getDefaultTimeZone();
+    return isValidTimeZone(timeZone) ? timeZone : null;
+};
+
+// Get delivery / read rates, median and p95 latencies and read heatmaps of an instance.
+// Accepts from / to, campaignId and timezone (for the heatmaps) in the query string
+export const getLatencyAnalytics = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const timeZone = getAnalyticsTimeZone(req.query);
+        if (!timeZone) {
+            return res.status(400).json({ success: false, message: `Unknown timezone: ${req.query.timezone}` });
+        }
+
+        // Status filters would skew the rates, so only the range and campaign apply
+        const filters = buildReportFilters(instanceId, { from: req.query.from, to: req.query.to, campaignId: req.query.campaignId });
+        if (filters.error) {
+            return res.status(400).json({ success: false, message: filters.error });
+        }
+
+        res.json({ success: true, ...(await computeLatencyAnalytics(filters, timeZone)) });
+    } catch (error) {
+        logger.error('Error in getLatencyAnalytics:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to compute analytics' });
+    }
+};
+
+// Get the same analytics for one campaign of the instance
+export const getCampaignLatencyAnalytics = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+        const timeZone = getAnalyticsTimeZone(req.query);
+        if (!timeZone) {
+            return res.status(400).json({ success: false, message: `Unknown timezone: ${req.query.timezone}` });
+        }
+
+        if (!(await campaignBelongsToInstance(instanceId, campaignId))) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        // Campaigns can send from several instances, all of them count
+        const filters = buildReportFilters(null, { from: req.query.from, to: req.query.to, campaignId });
+        if (filters.error) {
+            return res.status(400).json({ success: false, message: filters.error });
+        }
+
+        res.json({ success: true, campaignId: parseInt(campaignId), ...(await computeLatencyAnalytics(filters, timeZone)) });
+    } catch (error) {
+        logger.error('Error in getCampaignLatencyAnalytics:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to compute campaign analytics' });
+    }
+};
+
+// Function to compute reply rate, first-reply latency and opt-outs of a campaign.
+// Inbound messages are attributed to the last message sent to their sender when they come in, reactions are not replies
+const computeCampaignEngagement = async (campaignId) => {
+    const pool = await connectDB();
+
+    const [[sentRow]] = await pool.query(
+        `SELECT COUNT(*) AS sent FROM media_messages
+         WHERE campaign_id = ? AND message_status IN ('sent', 'delivered', 'read')`,
+        [campaignId]
+    );
+    const [[replyRow]] = await pool.query(
+        `SELECT COUNT(DISTINCT CASE WHEN message_type <> 'reaction' THEN reply_to_message_id END) AS replied,
+                SUM(message_type <> 'reaction') AS replies,
+                SUM(message_type = 'reaction') AS reactions,
+                COUNT(DISTINCT CASE WHEN opt_out_keyword IS NOT NULL THEN remote_jid END) AS optedOut
+         FROM inbound_messages
+         WHERE campaign_id = ?`,
+        [campaignId]
+    );
+    const sent = Number(sentRow.sent);
+    const replied = Number(replyRow.replied || 0);
+    const optedOut = Number(replyRow.optedOut || 0);
+
+    // Time from sending a message to the first reply it got
+    const [latencyRows] = await pool.query(
+        `SELECT TIMESTAMPDIFF(SECOND, COALESCE(${SENT_TIME_COLUMN}, m.created_at), f.first_reply_at) AS seconds, COUNT(*) AS count
+         FROM (
+            SELECT reply_to_message_id, MIN(message_timestamp) AS first_reply_at
+            FROM inbound_messages
+            WHERE campaign_id = ? AND message_type <> 'reaction'
+            GROUP BY reply_to_message_id
+         ) f
+         JOIN media_messages m ON m.id = f.reply_to_message_id
+         LEFT JOIN report_time r ON r.whatsapp_message_id = m.whatsapp_message_id
+         GROUP BY seconds
+         HAVING seconds >= 0
+         ORDER BY seconds ASC`,
+        [campaignId]
+    );
+    const { samples, medianSeconds, p95Seconds } = getPercentiles(latencyRows, [['medianSeconds', 0.5], ['p95Seconds', 0.95]]);
+
+    const [keywordRows] = await pool.query(
+        `SELECT opt_out_keyword AS keyword, COUNT(DISTINCT remote_jid) AS recipients
+         FROM inbound_messages
+         WHERE campaign_id = ? AND opt_out_keyword IS NOT NULL
+         GROUP BY opt_out_keyword
+         ORDER BY recipients DESC`,
+        [campaignId]
+    );
+
+    return {
+        sent,
+        replied,
+        replyRate: percentOf(replied, sent),
+        replies: Number(replyRow.replies || 0),
+        reactions: Number(replyRow.reactions || 0),
+        firstReply: { samples, medianSeconds, p95Seconds },
+        optOuts: {
+            recipients: optedOut,
+            optOutRate: percentOf(optedOut, sent),
+            keywords: keywordRows.map(row => ({ keyword: row.keyword, recipients: Number(row.recipients) }))
+        }
+    };
+};
+
+// Get reply rate, first-reply latency and opt-out keywords of one campaign of the instance
+export const getCampaignEngagement = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+
+        if (!(await campaignBelongsToInstance(instanceId, campaignId))) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        res.json({ success: true, campaignId: parseInt(campaignId), ...(await computeCampaignEngagement(campaignId)) });
+    } catch (error) {
+        logger.error('Error in getCampaignEngagement:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to compute campaign engagement' });
+    }
+};
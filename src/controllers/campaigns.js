@@ -0,0 +1,576 @@
+// src/controllers/campaigns.js
+
+import fs from 'fs';
+import connectDB, { addColumnIfMissing } from '../db/index.js';
+import { logger } from '../logger.js';
+import { buildMediaPayload, getMessageQuota } from './messages.js';
+import { resolveUploadedMedia } from './fileUpload.js';
+import { JOB_STATUS, registerJobHooks, startSendJob } from './sendJobs.js';
+import { instances } from './qrcode.js';
+
+// Valid values for `campaigns.status`
+export const CAMPAIGN_STATUS = {
+    DRAFT: 'draft',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+// How recipients are split between the instances of a multi-instance campaign
+export const CAMPAIGN_ROTATION = {
+    ROUND_ROBIN: 'round_robin',
+    WEIGHTED: 'weighted'
+};
+
+// Number of send jobs this process runs for each campaign, keyed by campaign ID
+const activeCampaigns = new Map();
+
+// Helper function to make sure the campaign tables exist
+const checkCampaignTables = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM campaigns LIMIT 1');
+        await pool.query('SELECT 1 FROM campaign_recipients LIMIT 1');
+        await pool.query('SELECT 1 FROM campaign_instances LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating campaign tables...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS campaigns (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    name VARCHAR(255) NOT NULL,
+                    media VARCHAR(512) NULL,
+                    status ENUM('draft', 'running', 'paused', 'completed', 'cancelled') NOT NULL DEFAULT 'draft',
+                    total_recipients INT NOT NULL DEFAULT 0,
+                    created_by VARCHAR(255) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    started_at DATETIME NULL,
+                    completed_at DATETIME NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_instance_id (instance_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS campaign_recipients (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    campaign_id INT NOT NULL,
+                    number VARCHAR(32) NOT NULL,
+                    text TEXT NULL,
+                    caption TEXT NULL,
+                    status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+                    media_message_id INT NULL,
+                    processed_at DATETIME NULL,
+                    INDEX idx_campaign_status (campaign_id, status)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS campaign_instances (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    campaign_id INT NOT NULL,
+                    instance_id VARCHAR(255) NOT NULL,
+                    weight INT NOT NULL DEFAULT 1,
+                    UNIQUE KEY unique_campaign_instance (campaign_id, instance_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('Campaign tables created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize campaign tables and tag media_messages rows with their campaign
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkCampaignTables(pool);
+        await addColumnIfMissing(pool, 'media_messages', 'campaign_id', 'INT NULL, ADD INDEX idx_campaign_id (campaign_id)');
+        await addColumnIfMissing(pool, 'campaigns', 'rotation', 'VARCHAR(20) NULL');
+        // Instance a recipient is assigned to, and that sends it
+        await addColumnIfMissing(pool, 'campaign_recipients', 'instance_id', 'VARCHAR(255) NULL');
+        logger.info('Campaign tables check completed');
+    } catch (error) {
+        logger.error('Error initializing campaign tables:', error);
+    }
+})();
+
+// Function to load a campaign that belongs to an instance
+const getCampaign = async (instanceId, campaignId) => {
+    const pool = await connectDB();
+    const [rows] = await pool.query(
+        'SELECT * FROM campaigns WHERE id = ? AND instance_id = ?',
+        [campaignId, instanceId]
+    );
+    return rows[0] || null;
+};
+
+// Function to compute live progress counts for a campaign
+export const getCampaignProgress = async (campaignId) => {
+    const pool = await connectDB();
+
+    const [recipientRows] = await pool.query(
+        'SELECT status, COUNT(*) AS count FROM campaign_recipients WHERE campaign_id = ? GROUP BY status',
+        [campaignId]
+    );
+    const [messageRows] = await pool.query(
+        'SELECT message_status, COUNT(*) AS count FROM media_messages WHERE campaign_id = ? GROUP BY message_status',
+        [campaignId]
+    );
+
+    const [instanceRows] = await pool.query(
+        'SELECT instance_id, status, COUNT(*) AS count FROM campaign_recipients WHERE campaign_id = ? AND instance_id IS NOT NULL GROUP BY instance_id, status',
+        [campaignId]
+    );
+
+    const recipients = { pending: 0, sent: 0, failed: 0 };
+    recipientRows.forEach(row => { recipients[row.status] = row.count; });
+
+    // Split of the recipients between the sending instances
+    const byInstance = {};
+    instanceRows.forEach(row => {
+        byInstance[row.instance_id] = byInstance[row.instance_id] || { pending: 0, sent: 0, failed: 0 };
+        byInstance[row.instance_id][row.status] = row.count;
+    });
+
+    const messages = { pending: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+    messageRows.forEach(row => { messages[row.message_status] = row.count; });
+
+    const total = recipients.pending + recipients.sent + recipients.failed;
+
+    return {
+        total,
+        processed: recipients.sent + recipients.failed,
+        remaining: recipients.pending,
+        sent: recipients.sent,
+        failed: recipients.failed,
+        messageStatus: messages,
+        byInstance
+    };
+};
+
+// Function to update the campaign status, only from one of the given states
+const transitionCampaign = async (campaignId, fromStatuses, toStatus, extraSet = '') => {
+    const pool = await connectDB();
+    const [result] = await pool.query(
+        `UPDATE campaigns SET status = ? ${extraSet} WHERE id = ? AND status IN (?)`,
+        [toStatus, campaignId, fromStatuses]
+    );
+    return result.affectedRows > 0;
+};
+
+// Function to build the send job callbacks of a campaign, one set per job as a campaign can run one job per instance
+const getCampaignJobHooks = (campaignId) => {
+    activeCampaigns.set(campaignId, (activeCampaigns.get(campaignId) || 0) + 1);
+
+    return {
+        // Stop as soon as the campaign is paused or cancelled
+        shouldContinue: async () => {
+            const pool = await connectDB();
+            const [rows] = await pool.query('SELECT status FROM campaigns WHERE id = ?', [campaignId]);
+            return rows[0]?.status === CAMPAIGN_STATUS.RUNNING;
+        },
+        onMessageProcessed: async (recipient, result) => {
+            const pool = await connectDB();
+            await pool.query(
+                'UPDATE campaign_recipients SET status = ?, media_message_id = ?, processed_at = NOW() WHERE id = ?',
+                [result.success ? 'sent' : 'failed', result.dbMessageId, recipient.id]
+            );
+        },
+        onFinish: async (job) => {
+            const runningJobs = (activeCampaigns.get(campaignId) || 1) - 1;
+            if (runningJobs > 0) {
+                activeCampaigns.set(campaignId, runningJobs);
+            } else {
+                activeCampaigns.delete(campaignId);
+            }
+
+            const progress = await getCampaignProgress(campaignId);
+            if (job.status === JOB_STATUS.FAILED) {
+                // The jobs of the other instances stop at their next recipient
+                await transitionCampaign(campaignId, [CAMPAIGN_STATUS.RUNNING], CAMPAIGN_STATUS.PAUSED);
+            } else if (runningJobs === 0 && progress.remaining === 0) {
+                await transitionCampaign(campaignId, [CAMPAIGN_STATUS.RUNNING], CAMPAIGN_STATUS.COMPLETED, ', completed_at = NOW()');
+            }
+            logger.info('Campaign job finished:', { campaignId, jobId: job.id, instanceId: job.instanceId, runningJobs, progress });
+        }
+    };
+};
+
+// Campaign jobs interrupted by a restart are resumed with the same callbacks
+registerJobHooks('campaign', (job) => getCampaignJobHooks(job.campaign_id));
+
+// Function to get the instances a campaign sends from, with their weights
+const getCampaignInstances = async (campaign) => {
+    const pool = await connectDB();
+    const [rows] = await pool.query(
+        'SELECT instance_id, weight FROM campaign_instances WHERE campaign_id = ? ORDER BY id',
+        [campaign.id]
+    );
+
+    // Single-instance campaigns send from the instance that owns them
+    return rows.length > 0 ? rows : [{ instance_id: campaign.instance_id, weight: 1 }];
+};
+
+// Function to assign the pending recipients of a campaign to its connected instances.
+// Recipients keep an instance that is still connected, the others are dealt out by smooth
+// weighted round-robin, never beyond what each instance's subscription has left.
+// Returns { assignments: { instanceId: count }, skipped: [{ instanceId, reason }] } or { error }
+const assignCampaignRecipients = async (campaign) => {
+    const pool = await connectDB();
+    const campaignInstances = await getCampaignInstances(campaign);
+    const weighted = campaign.rotation === CAMPAIGN_ROTATION.WEIGHTED;
+
+    const skipped = [];
+    const candidates = [];
+    for (const { instance_id: instanceId, weight } of campaignInstances) {
+        const instance = instances[instanceId];
+        if (!instance?.sock || instance.status !== 'connected') {
+            skipped.push({ instanceId, reason: 'not connected' });
+            continue;
+        }
+
+        const quota = await getMessageQuota(instanceId);
+        if (!quota || quota.messagesRemaining <= 0) {
+            skipped.push({ instanceId, reason: quota ? 'message quota used up' : 'no active subscription' });
+            continue;
+        }
+
+        candidates.push({ instanceId, weight: weighted ? weight : 1, capacity: quota.messagesRemaining, current: 0 });
+    }
+
+    if (candidates.length === 0) {
+        return { error: 'None of the campaign\'s instances is connected with messages left', skipped };
+    }
+
+    const [pending] = await pool.query(
+        "SELECT id, instance_id FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' ORDER BY id",
+        [campaign.id]
+    );
+
+    const byInstanceId = new Map(candidates.map(candidate => [candidate.instanceId, candidate]));
+    const toAssign = [];
+    for (const recipient of pending) {
+        const candidate = byInstanceId.get(recipient.instance_id);
+        if (candidate && candidate.capacity > 0) {
+            candidate.capacity--;
+        } else {
+            toAssign.push(recipient.id);
+        }
+    }
+
+    const totalCapacity = candidates.reduce((sum, candidate) => sum + candidate.capacity, 0);
+    if (toAssign.length > totalCapacity) {
+        return { error: `Can only send ${pending.length - toAssign.length + totalCapacity} more messages with the current subscriptions`, skipped };
+    }
+
+    const newAssignments = new Map();
+    for (const recipientId of toAssign) {
+        const available = candidates.filter(candidate => candidate.capacity > 0);
+
+        // Smooth weighted round-robin: every instance gains its weight, the highest one sends and pays back the total
+        const totalWeight = available.reduce((sum, candidate) => sum + candidate.weight, 0);
+        available.forEach(candidate => { candidate.current += candidate.weight; });
+        const chosen = available.reduce((best, candidate) => (candidate.current > best.current ? candidate : best));
+        chosen.current -= totalWeight;
+        chosen.capacity--;
+
+        if (!newAssignments.has(chosen.instanceId)) newAssignments.set(chosen.instanceId, []);
+        newAssignments.get(chosen.instanceId).push(recipientId);
+    }
+
+    for (const [instanceId, recipientIds] of newAssignments) {
+        await pool.query('UPDATE campaign_recipients SET instance_id = ? WHERE id IN (?)', [instanceId, recipientIds]);
+    }
+
+    const [counts] = await pool.query(
+        "SELECT instance_id, COUNT(*) AS count FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' GROUP BY instance_id",
+        [campaign.id]
+    );
+    const assignments = {};
+    counts.forEach(row => { assignments[row.instance_id] = row.count; });
+
+    return { assignments, skipped };
+};
+
+// Function to send the pending recipients assigned to one instance as a background job
+const runCampaignOnInstance = async (campaign, instanceId) => {
+    const hooks = getCampaignJobHooks(campaign.id);
+
+    try {
+        const pool = await connectDB();
+        const [recipients] = await pool.query(
+            "SELECT id, number, text, caption FROM campaign_recipients WHERE campaign_id = ? AND instance_id = ? AND status = 'pending' ORDER BY id",
+            [campaign.id, instanceId]
+        );
+
+        let mediaPayload = null;
+        if (campaign.media) {
+            const fileBuffer = await fs.promises.readFile(campaign.media);
+            mediaPayload = buildMediaPayload(fileBuffer, campaign.media, recipients[0]?.caption);
+        }
+
+        // Rows are logged under the sending instance, so they count against its quota
+        return await startSendJob({
+            instanceId,
+            sock: instances[instanceId].sock,
+            messages: recipients,
+            mediaPayload,
+            filePath: campaign.media,
+            scheduleTime: null,
+            campaignId: campaign.id,
+            kind: 'campaign',
+            ...hooks
+        });
+    } catch (error) {
+        // Release the job slot taken by the hooks and pause the campaign, as a failed job would
+        await hooks.onFinish({ id: null, instanceId, status: JOB_STATUS.FAILED }).catch(() => {});
+        throw error;
+    }
+};
+
+// Function to start one send job per instance that has pending recipients assigned
+const runCampaign = async (campaign, assignments) => {
+    const jobs = [];
+    for (const instanceId of Object.keys(assignments)) {
+        const job = await runCampaignOnInstance(campaign, instanceId);
+        jobs.push({ instanceId, jobId: job.id, total: job.total });
+    }
+    return jobs;
+};
+
+// Create a campaign with its recipients
+export const createCampaign = async (req, res) => {
+    const pool = await connectDB();
+    let connection;
+
+    try {
+        const { instanceId } = req.params;
+        const { name, messages, filePath } = req.body;
+
+        if (!name || !messages || !Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'name and a non-empty messages array are required'
+            });
+        }
+
+        // The campaign reads the file and sends it, so only files uploaded for this instance are accepted
+        const mediaPath = filePath ? resolveUploadedMedia(instanceId, filePath) : null;
+        if (filePath && !mediaPath) {
+            return res.status(400).json({ success: false, message: 'filePath must be a file uploaded for this instance' });
+        }
+        if (mediaPath && !fs.existsSync(mediaPath)) {
+            return res.status(400).json({ success: false, message: 'File not found' });
+        }
+
+        // Optional instances to split the recipients across, as IDs or { instanceId, weight }
+        const rotationInstances = (req.body.instances || []).map(entry => (typeof entry === 'string'
+            ? { instanceId: entry, weight: 1 }
+            : { instanceId: entry.instanceId, weight: entry.weight === undefined ? 1 : parseInt(entry.weight) }));
+        const rotation = rotationInstances.length === 0
+            ? null
+            : (req.body.rotation || (rotationInstances.some(entry => entry.weight !== 1) ? CAMPAIGN_ROTATION.WEIGHTED : CAMPAIGN_ROTATION.ROUND_ROBIN));
+
+        if (rotation && !Object.values(CAMPAIGN_ROTATION).includes(rotation)) {
+            return res.status(400).json({ success: false, message: `rotation must be one of ${Object.values(CAMPAIGN_ROTATION).join(', ')}` });
+        }
+        if (rotationInstances.some(entry => !entry.instanceId || !(entry.weight > 0))) {
+            return res.status(400).json({ success: false, message: 'Each instance needs an instanceId and a positive weight' });
+        }
+
+        if (rotationInstances.length > 0) {
+            const instanceIds = [...new Set(rotationInstances.map(entry => entry.instanceId))];
+            const [owned] = await pool.query(
+                'SELECT instance_id FROM instances WHERE instance_id IN (?) AND register_id = ?',
+                [instanceIds, req.user.email]
+            );
+            if (owned.length !== instanceIds.length) {
+                return res.status(403).json({ success: false, message: 'Access denied. Instance does not belong to user.' });
+            }
+        }
+
+        await checkCampaignTables(pool);
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            'INSERT INTO campaigns (instance_id, name, media, status, total_recipients, created_by, rotation) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [instanceId, name, mediaPath, CAMPAIGN_STATUS.DRAFT, messages.length, req.user.email, rotation]
+        );
+        const campaignId = result.insertId;
+
+        if (rotationInstances.length > 0) {
+            await connection.query(
+                'INSERT INTO campaign_instances (campaign_id, instance_id, weight) VALUES ? ON DUPLICATE KEY UPDATE weight = VALUES(weight)',
+                [rotationInstances.map(entry => [campaignId, entry.instanceId, entry.weight])]
+            );
+        }
+
+        const recipientRows = messages.map(message => [
+            campaignId,
+            String(message.number).replace(/[+\s-]/g, ''),
+            message.text || null,
+            message.caption || null
+        ]);
+        await connection.query(
+            'INSERT INTO campaign_recipients (campaign_id, number, text, caption) VALUES ?',
+            [recipientRows]
+        );
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Campaign created successfully',
+            campaign: {
+                id: campaignId,
+                name,
+                status: CAMPAIGN_STATUS.DRAFT,
+                totalRecipients: messages.length,
+                rotation,
+                instances: rotationInstances
+            }
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        logger.error('Error in createCampaign:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to create campaign' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// List the campaigns of an instance
+export const listCampaigns = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const pool = await connectDB();
+        await checkCampaignTables(pool);
+
+        const [campaigns] = await pool.query(
+            'SELECT * FROM campaigns WHERE instance_id = ? ORDER BY id DESC',
+            [instanceId]
+        );
+
+        res.json({ success: true, campaigns });
+    } catch (error) {
+        logger.error('Error in listCampaigns:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch campaigns' });
+    }
+};
+
+// Get a campaign with its live progress
+export const getCampaignDetails = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+        const campaign = await getCampaign(instanceId, campaignId);
+
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        res.json({
+            success: true,
+            campaign,
+            progress: await getCampaignProgress(campaign.id)
+        });
+    } catch (error) {
+        logger.error('Error in getCampaignDetails:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch campaign' });
+    }
+};
+
+// Start (from draft) or resume (from paused) a campaign
+const launchCampaign = (fromStatus) => async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const campaign = await getCampaign(instanceId, req.params.campaignId);
+
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        if (campaign.status !== fromStatus || activeCampaigns.has(campaign.id)) {
+            return res.status(409).json({
+                success: false,
+                message: `Campaign is ${campaign.status} and cannot be ${fromStatus === CAMPAIGN_STATUS.DRAFT ? 'started' : 'resumed'}`
+            });
+        }
+
+        // Disconnected instances are skipped and their recipients go to the connected ones
+        const { assignments, skipped, error: assignmentError } = await assignCampaignRecipients(campaign);
+        if (assignmentError) {
+            return res.status(400).json({ success: false, message: assignmentError, skippedInstances: skipped });
+        }
+
+        const extraSet = fromStatus === CAMPAIGN_STATUS.DRAFT ? ', started_at = NOW()' : '';
+        if (!await transitionCampaign(campaign.id, [fromStatus], CAMPAIGN_STATUS.RUNNING, extraSet)) {
+            return res.status(409).json({ success: false, message: 'Campaign status changed, please retry' });
+        }
+
+        // Send in the background, progress is available through the campaign and the send jobs
+        const jobs = await runCampaign({ ...campaign, status: CAMPAIGN_STATUS.RUNNING }, assignments);
+
+        res.json({
+            success: true,
+            message: fromStatus === CAMPAIGN_STATUS.DRAFT ? 'Campaign started' : 'Campaign resumed',
+            campaignId: campaign.id,
+            jobId: jobs.length === 1 ? jobs[0].jobId : undefined,
+            jobs,
+            skippedInstances: skipped,
+            progress: await getCampaignProgress(campaign.id)
+        });
+    } catch (error) {
+        logger.error('Error launching campaign:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to launch campaign' });
+    }
+};
+
+export const startCampaign = launchCampaign(CAMPAIGN_STATUS.DRAFT);
+export const resumeCampaign = launchCampaign(CAMPAIGN_STATUS.PAUSED);
+
+// Pause a running campaign, the current recipient finishes first
+export const pauseCampaign = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+        const campaign = await getCampaign(instanceId, campaignId);
+
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        if (!await transitionCampaign(campaign.id, [CAMPAIGN_STATUS.RUNNING], CAMPAIGN_STATUS.PAUSED)) {
+            return res.status(409).json({ success: false, message: `Campaign is ${campaign.status} and cannot be paused` });
+        }
+
+        res.json({ success: true, message: 'Campaign paused', progress: await getCampaignProgress(campaign.id) });
+    } catch (error) {
+        logger.error('Error in pauseCampaign:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to pause campaign' });
+    }
+};
+
+// Cancel a campaign that has not completed yet
+export const cancelCampaign = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+        const campaign = await getCampaign(instanceId, campaignId);
+
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        const cancellable = [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.RUNNING, CAMPAIGN_STATUS.PAUSED];
+        if (!await transitionCampaign(campaign.id, cancellable, CAMPAIGN_STATUS.CANCELLED, ', completed_at = NOW()')) {
+            return res.status(409).json({ success: false, message: `Campaign is ${campaign.status} and cannot be cancelled` });
+        }
+
+        res.json({ success: true, message: 'Campaign cancelled', progress: await getCampaignProgress(campaign.id) });
+    } catch (error) {
+        logger.error('Error in cancelCampaign:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to cancel campaign' });
+    }
+};
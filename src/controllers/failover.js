@@ -0,0 +1,554 @@
+// src/controllers/failover.js
+
+import cron from 'node-cron';
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+import { instances } from './qrcode.js';
+import { getMessageQuota } from './messages.js';
+import { handOverSendJobs } from './sendJobs.js';
+import { emitInstanceEvent } from './instanceWebhooks.js';
+
+// How long a member may stay disconnected before its pending work moves, unless the group sets its own
+const DEFAULT_THRESHOLD_SECONDS = 120;
+const MIN_THRESHOLD_SECONDS = 30;
+
+// When each member instance of this process was first seen disconnected, keyed by instance ID
+const disconnectedSince = new Map();
+// Member instances that were connected in this process, the only ones it can tell are down
+const seenConnected = new Set();
+
+// Helper function to make sure the failover tables exist
+const checkFailoverTables = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM failover_groups LIMIT 1');
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating failover_groups table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS failover_groups (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    register_id VARCHAR(255) NOT NULL,
+                    name VARCHAR(255) NOT NULL,
+                    threshold_seconds INT NOT NULL DEFAULT 120,
+                    is_active TINYINT(1) NOT NULL DEFAULT 1,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_register_id (register_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('failover_groups table created successfully');
+        } else {
+            throw error;
+        }
+    }
+
+    try {
+        await pool.query('SELECT 1 FROM failover_group_members LIMIT 1');
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating failover_group_members table...');
+            // An instance belongs to one group at most, so its work has a single place to go
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS failover_group_members (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    group_id INT NOT NULL,
+                    instance_id VARCHAR(255) NOT NULL,
+                    priority INT NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_instance (instance_id),
+                    INDEX idx_group_id (group_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('failover_group_members table created successfully');
+        } else {
+            throw error;
+        }
+    }
+
+    try {
+        await pool.query('SELECT 1 FROM failover_events LIMIT 1');
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating failover_events table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS failover_events (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    group_id INT NOT NULL,
+                    from_instance_id VARCHAR(255) NOT NULL,
+                    to_instance_id VARCHAR(255) NOT NULL,
+                    reason VARCHAR(255) NOT NULL,
+                    disconnected_since DATETIME NOT NULL,
+                    messages_moved INT NOT NULL DEFAULT 0,
+                    campaign_recipients_moved INT NOT NULL DEFAULT 0,
+                    send_jobs_moved INT NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_group_id (group_id),
+                    INDEX idx_from_instance (from_instance_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('failover_events table created successfully');
+        } else {
+            throw error;
+        }
+    }
+
+    return true;
+};
+
+// Initialize failover tables
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkFailoverTables(pool);
+        logger.info('failover tables check completed');
+    } catch (error) {
+        logger.error('Error initializing failover tables:', error);
+    }
+})();
+
+// Function to tell whether an instance of this process can send right now
+const isConnected = (instanceId) => {
+    const instance = instances[instanceId];
+    return Boolean(instance?.sock) && instance.status === 'connected';
+};
+
+// Function to pick the member that takes over from a down instance: connected in this process,
+// owned by the same account and with messages left, lowest priority first
+const pickFailoverTarget = async (pool, member, members) => {
+    const [owners] = await pool.query(
+        'SELECT instance_id, register_id FROM instances WHERE instance_id IN (?)',
+        [members.map(candidate => candidate.instance_id)]
+    );
+    const ownerOf = new Map(owners.map(row => [row.instance_id, row.register_id]));
+    const owner = ownerOf.get(member.instance_id);
+
+    for (const candidate of members) {
+        if (candidate.instance_id === member.instance_id) continue;
+        if (!owner || ownerOf.get(candidate.instance_id) !== owner) continue;
+        if (!isConnected(candidate.instance_id)) continue;
+
+        const quota = await getMessageQuota(candidate.instance_id);
+        if (quota && quota.messagesRemaining > 0) {
+            return candidate.instance_id;
+        }
+    }
+    return null;
+};
+
+// Function to move the pending work of a down instance to another member and record the event
+const failOverInstance = async (pool, member, toInstanceId, since) => {
+    const fromInstanceId = member.instance_id;
+
+    // Running and interrupted send jobs are resumed by the send job recovery on the new instance
+    const sendJobsMoved = await handOverSendJobs(fromInstanceId, toInstanceId);
+
+    // Scheduled rows lose their claim so the scheduler picks them up again,
+    // rows of a send job keep it as the job resumes them itself
+    const [messages] = await pool.query(
+        `UPDATE media_messages
+         SET instance_id = ?,
+             claimed_by = IF(send_job_id IS NULL, NULL, claimed_by),
+             claimed_at = IF(send_job_id IS NULL, NULL, claimed_at)
+         WHERE instance_id = ? AND message_status = 'pending'`,
+        [toInstanceId, fromInstanceId]
+    );
+
+    const [recipients] = await pool.query(
+        "UPDATE campaign_recipients SET instance_id = ? WHERE instance_id = ? AND status = 'pending'",
+        [toInstanceId, fromInstanceId]
+    );
+
+    const reason = instances[fromInstanceId]?.status === 'disconnected' ? 'disconnected' : 'reconnect timeout';
+    const [result] = await pool.query(
+        `INSERT INTO failover_events
+            (group_id, from_instance_id, to_instance_id, reason, disconnected_since, messages_moved, campaign_recipients_moved, send_jobs_moved)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [member.group_id, fromInstanceId, toInstanceId, reason, since, messages.affectedRows, recipients.affectedRows, sendJobsMoved]
+    );
+
+    const event = {
+        eventId: result.insertId,
+        groupId: member.group_id,
+        fromInstanceId,
+        toInstanceId,
+        reason,
+        disconnectedSince: since,
+        messagesMoved: messages.affectedRows,
+        campaignRecipientsMoved: recipients.affectedRows,
+        sendJobsMoved
+    };
+    logger.warn('Instance failed over:', event);
+
+    emitInstanceEvent(fromInstanceId, 'instance.failover', event);
+    emitInstanceEvent(toInstanceId, 'instance.failover', event);
+};
+
+// Function to check every member instance of this process and fail over the ones down for too long
+const checkFailoverGroups = async () => {
+    const pool = await connectDB();
+    await checkFailoverTables(pool);
+
+    const [members] = await pool.query(
+        `SELECT m.group_id, m.instance_id, m.priority, g.threshold_seconds
+         FROM failover_group_members m
+         JOIN failover_groups g ON g.id = m.group_id
+         WHERE g.is_active = 1
+         ORDER BY m.group_id, m.priority ASC, m.id ASC`
+    );
+
+    const membersByGroup = new Map();
+    members.forEach(member => {
+        if (!membersByGroup.has(member.group_id)) membersByGroup.set(member.group_id, []);
+        membersByGroup.get(member.group_id).push(member);
+    });
+
+    for (const member of members) {
+        const instanceId = member.instance_id;
+
+        if (isConnected(instanceId)) {
+            seenConnected.add(instanceId);
+            disconnectedSince.delete(instanceId);
+            continue;
+        }
+
+        // A reconnect removes the instance for a moment, so absence only counts once it was seen here
+        if (!instances[instanceId] && !seenConnected.has(instanceId)) continue;
+
+        if (!disconnectedSince.has(instanceId)) {
+            disconnectedSince.set(instanceId, new Date());
+        }
+        const since = disconnectedSince.get(instanceId);
+        if (Date.now() - since.getTime() < member.threshold_seconds * 1000) continue;
+
+        const toInstanceId = await pickFailoverTarget(pool, member, membersByGroup.get(member.group_id));
+        if (!toInstanceId) {
+            logger.warn('No member can take over from a disconnected instance:', { groupId: member.group_id, instanceId });
+            continue;
+        }
+
+        await failOverInstance(pool, member, toInstanceId, since);
+        // Work added later, e.g. by recurring schedules, moves on a later run after the threshold again
+        disconnectedSince.set(instanceId, new Date());
+    }
+};
+
+// Initialize the failover monitor
+export const initializeFailoverMonitor = () => {
+    logger.info('Initializing failover monitor...');
+
+    let isRunning = false;
+    const monitor = cron.schedule('*/15 * * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            await checkFailoverGroups();
+        } catch (error) {
+            logger.error('Error in failover monitor:', { error: error.message, stack: error.stack });
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    monitor.start();
+    logger.info('Failover monitor initialized');
+};
+
+// Function to validate the members of a group from a request body, instance IDs or { instanceId, priority }
+const parseGroupMembers = (body) => {
+    if (!Array.isArray(body.instances) || body.instances.length < 2) {
+        return { error: 'instances must list at least two instances' };
+    }
+
+    const members = body.instances.map((entry, index) => (
+        typeof entry === 'string'
+            ? { instanceId: entry, priority: index }
+            : { instanceId: entry?.instanceId, priority: entry?.priority ?? index }
+    ));
+
+    if (members.some(member => !member.instanceId || !Number.isInteger(member.priority))) {
+        return { error: 'Each instance needs an instanceId and an integer priority' };
+    }
+    if (new Set(members.map(member => member.instanceId)).size !== members.length) {
+        return { error: 'An instance can only be listed once' };
+    }
+    return { members };
+};
+
+// Function to validate the threshold from a request body
+const parseThreshold = (value) => {
+    if (value === undefined) return DEFAULT_THRESHOLD_SECONDS;
+    return Number.isInteger(value) && value >= MIN_THRESHOLD_SECONDS ? value : null;
+};
+
+// Function to save the members of a group, checking they belong to the user and to no other group
+const saveGroupMembers = async (connection, groupId, members, email) => {
+    const instanceIds = members.map(member => member.instanceId);
+
+    const [owned] = await connection.query(
+        'SELECT instance_id FROM instances WHERE instance_id IN (?) AND register_id = ?',
+        [instanceIds, email]
+    );
+    if (owned.length !== instanceIds.length) {
+        return { status: 403, message: 'Access denied. Instance does not belong to user.' };
+    }
+
+    const [taken] = await connection.query(
+        'SELECT instance_id FROM failover_group_members WHERE instance_id IN (?) AND group_id != ?',
+        [instanceIds, groupId]
+    );
+    if (taken.length > 0) {
+        return { status: 409, message: `Already in another failover group: ${taken.map(row => row.instance_id).join(', ')}` };
+    }
+
+    await connection.query('DELETE FROM failover_group_members WHERE group_id = ?', [groupId]);
+    await connection.query(
+        'INSERT INTO failover_group_members (group_id, instance_id, priority) VALUES ?',
+        [members.map(member => [groupId, member.instanceId, member.priority])]
+    );
+    return null;
+};
+
+// Function to load a group of the user with its members, or null
+const findGroup = async (pool, groupId, email) => {
+    const [groups] = await pool.query(
+        'SELECT * FROM failover_groups WHERE id = ? AND register_id = ?',
+        [groupId, email]
+    );
+    if (groups.length === 0) return null;
+
+    const [members] = await pool.query(
+        'SELECT instance_id, priority FROM failover_group_members WHERE group_id = ? ORDER BY priority ASC, id ASC',
+        [groupId]
+    );
+
+    const group = groups[0];
+    return {
+        id: group.id,
+        name: group.name,
+        thresholdSeconds: group.threshold_seconds,
+        isActive: Boolean(group.is_active),
+        createdAt: group.created_at,
+        updatedAt: group.updated_at,
+        instances: members.map(member => ({
+            instanceId: member.instance_id,
+            priority: member.priority,
+            status: instances[member.instance_id]?.status || 'unknown'
+        }))
+    };
+};
+
+// Create a failover group of the user's instances
+export const createFailoverGroup = async (req, res) => {
+    const pool = await connectDB();
+    let connection;
+
+    try {
+        const { name } = req.body;
+        const thresholdSeconds = parseThreshold(req.body.thresholdSeconds);
+        const parsed = parseGroupMembers(req.body);
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'name is required' });
+        }
+        if (thresholdSeconds === null) {
+            return res.status(400).json({ success: false, message: `thresholdSeconds must be an integer of at least ${MIN_THRESHOLD_SECONDS}` });
+        }
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        await checkFailoverTables(pool);
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            'INSERT INTO failover_groups (register_id, name, threshold_seconds) VALUES (?, ?, ?)',
+            [req.user.email, name, thresholdSeconds]
+        );
+
+        const memberError = await saveGroupMembers(connection, result.insertId, parsed.members, req.user.email);
+        if (memberError) {
+            await connection.rollback();
+            return res.status(memberError.status).json({ success: false, message: memberError.message });
+        }
+
+        await connection.commit();
+
+        logger.info('Failover group created:', { groupId: result.insertId, name, members: parsed.members });
+        res.status(201).json({
+            success: true,
+            message: 'Failover group created successfully',
+            group: await findGroup(pool, result.insertId, req.user.email)
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        logger.error('Error in createFailoverGroup:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to create failover group' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// List the failover groups of the user
+export const listFailoverGroups = async (req, res) => {
+    try {
+        const pool = await connectDB();
+        await checkFailoverTables(pool);
+
+        const [rows] = await pool.query(
+            'SELECT id FROM failover_groups WHERE register_id = ? ORDER BY id DESC',
+            [req.user.email]
+        );
+
+        const groups = [];
+        for (const row of rows) {
+            groups.push(await findGroup(pool, row.id, req.user.email));
+        }
+
+        res.json({ success: true, groups });
+    } catch (error) {
+        logger.error('Error in listFailoverGroups:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch failover groups' });
+    }
+};
+
+// Get one failover group of the user
+export const getFailoverGroup = async (req, res) => {
+    try {
+        const pool = await connectDB();
+        const group = await findGroup(pool, req.params.groupId, req.user.email);
+
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Failover group not found' });
+        }
+
+        res.json({ success: true, group });
+    } catch (error) {
+        logger.error('Error in getFailoverGroup:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch failover group' });
+    }
+};
+
+// Update the name, threshold, active flag or members of a failover group
+export const updateFailoverGroup = async (req, res) => {
+    const pool = await connectDB();
+    let connection;
+
+    try {
+        const { groupId } = req.params;
+        const group = await findGroup(pool, groupId, req.user.email);
+
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Failover group not found' });
+        }
+
+        const thresholdSeconds = req.body.thresholdSeconds === undefined
+            ? group.thresholdSeconds
+            : parseThreshold(req.body.thresholdSeconds);
+        if (thresholdSeconds === null) {
+            return res.status(400).json({ success: false, message: `thresholdSeconds must be an integer of at least ${MIN_THRESHOLD_SECONDS}` });
+        }
+
+        const parsed = req.body.instances === undefined ? null : parseGroupMembers(req.body);
+        if (parsed?.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.query(
+            'UPDATE failover_groups SET name = ?, threshold_seconds = ?, is_active = ? WHERE id = ?',
+            [
+                req.body.name || group.name,
+                thresholdSeconds,
+                req.body.isActive === undefined ? group.isActive : Boolean(req.body.isActive),
+                groupId
+            ]
+        );
+
+        if (parsed) {
+            const memberError = await saveGroupMembers(connection, group.id, parsed.members, req.user.email);
+            if (memberError) {
+                await connection.rollback();
+                return res.status(memberError.status).json({ success: false, message: memberError.message });
+            }
+        }
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Failover group updated successfully',
+            group: await findGroup(pool, groupId, req.user.email)
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        logger.error('Error in updateFailoverGroup:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to update failover group' });
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// Delete a failover group, its events are kept for audit
+export const deleteFailoverGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const pool = await connectDB();
+
+        const [result] = await pool.query(
+            'DELETE FROM failover_groups WHERE id = ? AND register_id = ?',
+            [groupId, req.user.email]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Failover group not found' });
+        }
+
+        await pool.query('DELETE FROM failover_group_members WHERE group_id = ?', [groupId]);
+
+        res.json({ success: true, message: 'Failover group removed' });
+    } catch (error) {
+        logger.error('Error in deleteFailoverGroup:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to remove failover group' });
+    }
+};
+
+// List the failover events of a group, newest first
+export const getFailoverEvents = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const pool = await connectDB();
+
+        const [groups] = await pool.query(
+            'SELECT id FROM failover_groups WHERE id = ? AND register_id = ?',
+            [groupId, req.user.email]
+        );
+        if (groups.length === 0) {
+            return res.status(404).json({ success: false, message: 'Failover group not found' });
+        }
+
+        const [events] = await pool.query(
+            'SELECT * FROM failover_events WHERE group_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+            [groupId, limit, (page - 1) * limit]
+        );
+        const [[{ total }]] = await pool.query(
+            'SELECT COUNT(*) AS total FROM failover_events WHERE group_id = ?',
+            [groupId]
+        );
+
+        res.json({
+            success: true,
+            events,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        logger.error('Error in getFailoverEvents:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch failover events' });
+    }
+};
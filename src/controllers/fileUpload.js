@@ -8,6 +8,16 @@ import { saveCSVDataToDB } from './saveNumbers.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Directory uploadMedia saves the media of an instance in
+const getMediaUploadDir = (instanceId) => path.resolve(__dirname, '..', '..', 'uploads', 'media', String(instanceId));
+
+// Function to resolve a filePath sent in a request to a file uploaded for the instance, null for any other path
+export const resolveUploadedMedia = (instanceId, filePath) => {
+    const uploadDir = getMediaUploadDir(instanceId);
+    const resolvedPath = path.resolve(uploadDir, String(filePath));
+    return resolvedPath.startsWith(uploadDir + path.sep) ? resolvedPath : null;
+};
+
 // Handle media upload
 export const uploadMedia = async (req, res) => {
     console.log('Received request to upload media');
@@ -54,7 +64,7 @@ export const uploadMedia = async (req, res) => {
         console.log('Generated filename:', uniqueFilename);
         
         // Define the absolute path
-        const uploadPath = path.join(__dirname, '..', '..', 'uploads', 'media', instanceId, uniqueFilename);
+        const uploadPath = path.join(getMediaUploadDir(instanceId), uniqueFilename);
         console.log('Upload path:', uploadPath);
 
         try {
@@ -0,0 +1,504 @@
+// src/controllers/inbox.js
+
+import fs from 'fs';
+import path from 'path';
+import { BufferJSON, downloadMediaMessage, getContentType, isJidGroup, jidNormalizedUser } from '@whiskeysockets/baileys';
+import connectDB, { addColumnIfMissing } from '../db/index.js';
+import { logger } from '../logger.js';
+import { emitInstanceEvent } from './instanceWebhooks.js';
+import { buildMediaPayload, getMessageQuota, logMediaMessageToDB, updateMessageStatusInDB, updateMessageWithWhatsAppId } from './messages.js';
+import { runInSendQueue, SEND_PRIORITY } from './sendQueue.js';
+
+// Message types we keep in the inbox, keyed by the Baileys content type
+const INBOUND_TYPES = {
+    conversation: 'text',
+    extendedTextMessage: 'text',
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker',
+    reactionMessage: 'reaction',
+    locationMessage: 'location',
+    liveLocationMessage: 'location'
+};
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// A reply made of just one of these opts the sender out, OPT_OUT_KEYWORDS (comma separated) replaces them
+const DEFAULT_OPT_OUT_KEYWORDS = ['stop', 'stop all', 'unsubscribe', 'opt out', 'optout'];
+
+// Helper function to make sure the inbound_messages table exists
+const checkInboundMessagesTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM inbound_messages LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating inbound_messages table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS inbound_messages (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    remote_jid VARCHAR(255) NOT NULL,
+                    sender_jid VARCHAR(255) NULL,
+                    push_name VARCHAR(255) NULL,
+                    whatsapp_message_id VARCHAR(255) NOT NULL,
+                    message_type VARCHAR(20) NOT NULL,
+                    body TEXT NULL,
+                    media_path VARCHAR(512) NULL,
+                    media_mimetype VARCHAR(255) NULL,
+                    reaction_to VARCHAR(255) NULL,
+                    latitude DECIMAL(10, 7) NULL,
+                    longitude DECIMAL(10, 7) NULL,
+                    quoted_message_id VARCHAR(255) NULL,
+                    raw_message LONGTEXT NULL,
+                    message_timestamp DATETIME NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_instance_message (instance_id, whatsapp_message_id),
+                    INDEX idx_instance_jid (instance_id, remote_jid, message_timestamp)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('inbound_messages table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize inbound_messages table
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkInboundMessagesTable(pool);
+        // Outbound media_messages row a message replies to, its campaign and the opt-out keyword it matched
+        await addColumnIfMissing(pool, 'inbound_messages', 'reply_to_message_id', 'INT NULL');
+        await addColumnIfMissing(pool, 'inbound_messages', 'campaign_id', 'INT NULL, ADD INDEX idx_campaign_id (campaign_id)');
+        await addColumnIfMissing(pool, 'inbound_messages', 'opt_out_keyword', 'VARCHAR(50) NULL');
+        logger.info('inbound_messages table check completed');
+    } catch (error) {
+        logger.error('Error initializing inbound_messages table:', error);
+    }
+})();
+
+// Function to unwrap ephemeral / view-once containers around the real content
+const unwrapMessage = (message) => {
+    let content = message;
+    while (content) {
+        const inner = content.ephemeralMessage?.message
+            || content.viewOnceMessage?.message
+            || content.viewOnceMessageV2?.message
+            || content.documentWithCaptionMessage?.message;
+        if (!inner) break;
+        content = inner;
+    }
+    return content;
+};
+
+// Function to turn a Baileys message into an inbox row
+const parseInboundMessage = (msg) => {
+    const content = unwrapMessage(msg.message);
+    if (!content) return null;
+
+    const contentType = getContentType(content);
+    const messageType = INBOUND_TYPES[contentType];
+    if (!messageType) return null;
+
+    const inner = content[contentType];
+    const parsed = {
+        messageType,
+        body: null,
+        mimetype: null,
+        reactionTo: null,
+        latitude: null,
+        longitude: null,
+        quotedMessageId: inner?.contextInfo?.stanzaId || null
+    };
+
+    switch (contentType) {
+        case 'conversation':
+            parsed.body = inner;
+            break;
+        case 'extendedTextMessage':
+            parsed.body = inner.text;
+            break;
+        case 'reactionMessage':
+            parsed.body = inner.text;
+            parsed.reactionTo = inner.key?.id || null;
+            break;
+        case 'locationMessage':
+        case 'liveLocationMessage':
+            parsed.body = inner.name || inner.address || inner.caption || null;
+            parsed.latitude = inner.degreesLatitude;
+            parsed.longitude = inner.degreesLongitude;
+            break;
+        default:
+            parsed.body = inner.caption || inner.fileName || null;
+            parsed.mimetype = inner.mimetype || null;
+    }
+
+    return parsed;
+};
+
+// Function to get the opt-out keywords, OPT_OUT_KEYWORDS or the defaults
+const getOptOutKeywords = () => (process.env.OPT_OUT_KEYWORDS
+    ? process.env.OPT_OUT_KEYWORDS.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_OPT_OUT_KEYWORDS);
+
+// Function to get the opt-out keyword a message consists of, ignoring case and punctuation ("Stop!" matches "stop")
+const matchOptOutKeyword = (body) => {
+    if (!body) return null;
+    const normalized = body.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+    return getOptOutKeywords().find(keyword => keyword === normalized) || null;
+};
+
+// Function to find the most recent outbound message to the sender of a reply, sent before the reply came in
+const findRepliedMessage = async (pool, instanceId, remoteJid, timestamp) => {
+    // Group messages cannot be tied to one recipient
+    if (isJidGroup(remoteJid)) return null;
+
+    const number = remoteJid.split('@')[0];
+    const [rows] = await pool.query(
+        `SELECT id, campaign_id FROM media_messages
+         WHERE instance_id = ? AND recipient IN (?, ?) AND message_status IN ('sent', 'delivered', 'read') AND created_at <= ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [instanceId, number, `+${number}`, timestamp]
+    );
+    return rows[0] || null;
+};
+
+// Function to download inbound media into uploads/inbox/<instanceId>
+const saveInboundMedia = async (sock, msg, instanceId, mimetype) => {
+    try {
+        const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+            logger: sock.logger,
+            reuploadRequest: sock.updateMediaMessage
+        });
+
+        const extension = mimetype ? `.${mimetype.split('/')[1].split(';')[0]}` : '';
+        const fileName = `${Date.now()}-${msg.key.id}${extension}`;
+        const mediaPath = path.join(process.cwd(), 'uploads', 'inbox', instanceId, fileName);
+
+        await fs.promises.mkdir(path.dirname(mediaPath), { recursive: true });
+        await fs.promises.writeFile(mediaPath, buffer);
+
+        return mediaPath;
+    } catch (error) {
+        logger.error('Failed to download inbound media:', {
+            error: error.message,
+            instanceId,
+            messageId: msg.key.id
+        });
+        return null;
+    }
+};
+
+// Function to persist messages received through messages.upsert
+export const saveInboundMessages = async (sock, instanceId, upsert) => {
+    const pool = await connectDB();
+    const savedMessages = [];
+
+    for (const msg of upsert.messages || []) {
+        try {
+            const remoteJid = msg.key?.remoteJid;
+
+            // Only keep messages sent to us by other people
+            if (!remoteJid || msg.key.fromMe || remoteJid === 'status@broadcast') continue;
+
+            const parsed = parseInboundMessage(msg);
+            if (!parsed) continue;
+
+            const mediaPath = MEDIA_TYPES.includes(parsed.messageType)
+                ? await saveInboundMedia(sock, msg, instanceId, parsed.mimetype)
+                : null;
+
+            const timestamp = msg.messageTimestamp ? new Date(Number(msg.messageTimestamp) * 1000) : new Date();
+
+            // Attribute the message to what we last sent this recipient, for reply rates per campaign
+            const repliedMessage = await findRepliedMessage(pool, instanceId, jidNormalizedUser(remoteJid), timestamp);
+            const optOutKeyword = parsed.messageType === 'text' ? matchOptOutKeyword(parsed.body) : null;
+
+            const [result] = await pool.execute(
+                `INSERT IGNORE INTO inbound_messages
+                    (instance_id, remote_jid, sender_jid, push_name, whatsapp_message_id, message_type, body,
+                     media_path, media_mimetype, reaction_to, latitude, longitude, quoted_message_id, raw_message, message_timestamp,
+                     reply_to_message_id, campaign_id, opt_out_keyword)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    instanceId,
+                    jidNormalizedUser(remoteJid),
+                    msg.key.participant ? jidNormalizedUser(msg.key.participant) : null,
+                    msg.pushName || null,
+                    msg.key.id,
+                    parsed.messageType,
+                    parsed.body,
+                    mediaPath,
+                    parsed.mimetype,
+                    parsed.reactionTo,
+                    parsed.latitude,
+                    parsed.longitude,
+                    parsed.quotedMessageId,
+                    JSON.stringify(msg, BufferJSON.replacer),
+                    timestamp,
+                    repliedMessage?.id || null,
+                    repliedMessage?.campaign_id || null,
+                    optOutKeyword
+                ]
+            );
+
+            if (result.affectedRows > 0) {
+                savedMessages.push({ id: result.insertId, remoteJid, messageType: parsed.messageType });
+
+                emitInstanceEvent(instanceId, 'message.inbound', {
+                    id: result.insertId,
+                    remoteJid: jidNormalizedUser(remoteJid),
+                    pushName: msg.pushName || null,
+                    whatsappMessageId: msg.key.id,
+                    messageType: parsed.messageType,
+                    body: parsed.body,
+                    reactionTo: parsed.reactionTo,
+                    latitude: parsed.latitude,
+                    longitude: parsed.longitude,
+                    quotedMessageId: parsed.quotedMessageId,
+                    replyToMessageId: repliedMessage?.id || null,
+                    campaignId: repliedMessage?.campaign_id || null,
+                    optOutKeyword,
+                    timestamp: timestamp.toISOString()
+                });
+                logger.info('Inbound message saved:', {
+                    instanceId,
+                    remoteJid,
+                    messageId: msg.key.id,
+                    messageType: parsed.messageType
+                });
+            }
+        } catch (error) {
+            logger.error('Failed to save inbound message:', {
+                error: error.message,
+                stack: error.stack,
+                instanceId,
+                messageId: msg.key?.id
+            });
+        }
+    }
+
+    return savedMessages;
+};
+
+// Function to setup inbound message capture for a WhatsApp instance
+export const setupInboundMessageCapture = (sock, instanceId) => {
+    if (!sock || !instanceId) {
+        logger.error('Invalid socket or instanceId provided for inbound capture');
+        return;
+    }
+
+    sock.ev.on('messages.upsert', async (upsert) => {
+        // 'notify' is a live message, 'append' is history delivered after a reconnect
+        if (upsert.type !== 'notify' && upsert.type !== 'append') return;
+        await saveInboundMessages(sock, instanceId, upsert);
+    });
+};
+
+// Function to parse page / limit query params
+const getPagination = (query, defaultLimit = 20) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+// List conversations for an instance, most recent first
+export const getConversations = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { page, limit, offset } = getPagination(req.query);
+        const pool = await connectDB();
+
+        await checkInboundMessagesTable(pool);
+
+        const [conversations] = await pool.query(
+            `SELECT m.remote_jid, m.push_name, m.message_type AS last_message_type, m.body AS last_message,
+                    c.message_count, c.last_message_at
+             FROM (
+                SELECT remote_jid, COUNT(*) AS message_count, MAX(message_timestamp) AS last_message_at, MAX(id) AS last_id
+                FROM inbound_messages
+                WHERE instance_id = ?
+                GROUP BY remote_jid
+             ) c
+             JOIN inbound_messages m ON m.id = c.last_id
+             ORDER BY c.last_message_at DESC
+             LIMIT ? OFFSET ?`,
+            [instanceId, limit, offset]
+        );
+
+        const [countRows] = await pool.query(
+            'SELECT COUNT(DISTINCT remote_jid) AS total FROM inbound_messages WHERE instance_id = ?',
+            [instanceId]
+        );
+
+        res.json({
+            success: true,
+            conversations,
+            pagination: {
+                page,
+                limit,
+                total: countRows[0].total
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getConversations:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch conversations' });
+    }
+};
+
+// Function to turn a route param (number or JID) into a WhatsApp JID
+const toJid = (jid) => {
+    if (jid.includes('@')) return jidNormalizedUser(jid);
+    return `${jid.replace(/[^\d]/g, '')}@s.whatsapp.net`;
+};
+
+// Paginate the message history of one conversation, newest first
+export const getConversationMessages = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const jid = toJid(req.params.jid);
+        const { page, limit, offset } = getPagination(req.query, 50);
+        const pool = await connectDB();
+
+        await checkInboundMessagesTable(pool);
+
+        const [messages] = await pool.query(
+            `SELECT id, remote_jid, sender_jid, push_name, whatsapp_message_id, message_type, body,
+                    media_path, media_mimetype, reaction_to, latitude, longitude, quoted_message_id, message_timestamp
+             FROM inbound_messages
+             WHERE instance_id = ? AND remote_jid = ?
+             ORDER BY message_timestamp DESC, id DESC
+             LIMIT ? OFFSET ?`,
+            [instanceId, jid, limit, offset]
+        );
+
+        const [countRows] = await pool.query(
+            'SELECT COUNT(*) AS total FROM inbound_messages WHERE instance_id = ? AND remote_jid = ?',
+            [instanceId, jid]
+        );
+
+        res.json({
+            success: true,
+            jid,
+            messages,
+            pagination: {
+                page,
+                limit,
+                total: countRows[0].total
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getConversationMessages:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch conversation messages' });
+    }
+};
+
+// Reply to a conversation, optionally quoting one of its inbound messages
+export const replyToConversation = async (req, res) => {
+    const { instanceId, sock } = req;
+    const { message, caption, quotedMessageId } = req.body;
+    const uploadedFile = req.files && req.files.file;
+    let dbMessageId = null;
+
+    try {
+        if (!message && !uploadedFile) {
+            return res.status(400).json({
+                success: false,
+                message: 'A message or a media file is required'
+            });
+        }
+
+        const jid = toJid(req.params.jid);
+        const recipient = jid.split('@')[0];
+        const pool = await connectDB();
+
+        const quota = await getMessageQuota(instanceId);
+        if (!quota || quota.messagesRemaining <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: quota ? 'Message limit reached. Please recharge your subscription.' : 'No active subscription found'
+            });
+        }
+
+        // Load the inbound message to quote, it must belong to this conversation
+        let quoted = null;
+        if (quotedMessageId) {
+            const [rows] = await pool.query(
+                'SELECT raw_message FROM inbound_messages WHERE instance_id = ? AND remote_jid = ? AND whatsapp_message_id = ?',
+                [instanceId, jid, quotedMessageId]
+            );
+
+            if (rows.length === 0 || !rows[0].raw_message) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Quoted message not found in this conversation'
+                });
+            }
+
+            quoted = JSON.parse(rows[0].raw_message, BufferJSON.reviver);
+        }
+
+        // Save the uploaded file next to the other media of this instance
+        let filePath = null;
+        let content = { text: message };
+        if (uploadedFile) {
+            filePath = path.join(process.cwd(), 'uploads', 'media', instanceId, `${Date.now()}-${uploadedFile.name}`);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await uploadedFile.mv(filePath);
+
+            content = buildMediaPayload(uploadedFile.data, filePath, caption || message);
+        }
+
+        // Log as pending first so delivery and read receipts can be tracked
+        dbMessageId = await logMediaMessageToDB(
+            instanceId,
+            [recipient],
+            message || null,
+            filePath,
+            caption || null,
+            null,
+            'pending',
+            null
+        );
+
+        // Replies skip ahead of bulk sends queued on the instance
+        const sentMsg = await runInSendQueue(
+            instanceId,
+            () => sock.sendMessage(jid, content, quoted ? { quoted } : undefined),
+            { priority: SEND_PRIORITY.INTERACTIVE }
+        );
+        const whatsappMessageId = sentMsg?.key?.id;
+
+        if (!whatsappMessageId) {
+            throw new Error('Failed to get message ID from WhatsApp');
+        }
+
+        await updateMessageWithWhatsAppId(dbMessageId, whatsappMessageId);
+
+        logger.info('Reply sent:', { instanceId, jid, whatsappMessageId, quotedMessageId });
+
+        res.json({
+            success: true,
+            message: 'Reply sent successfully',
+            id: dbMessageId,
+            whatsappMessageId
+        });
+    } catch (error) {
+        logger.error('Error in replyToConversation:', { error: error.message, stack: error.stack });
+
+        if (dbMessageId) {
+            await updateMessageStatusInDB(dbMessageId, 'failed').catch(() => {});
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send reply',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,196 @@
+// src/controllers/instanceHealth.js
+
+import { DisconnectReason } from '@whiskeysockets/baileys';
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+import { instances } from './qrcode.js';
+import { getInstanceRestoreStatus, getRestoreProgress } from './instanceRestore.js';
+
+// Connection events recorded in `instance_health_events.event`
+export const HEALTH_EVENT = {
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    DISCONNECTED: 'disconnected'
+};
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 24 * 30;
+// Events returned per instance in the timeline, newest first
+const TIMELINE_LIMIT = 100;
+
+// Helper function to make sure the instance_health_events table exists
+const checkInstanceHealthTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM instance_health_events LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating instance_health_events table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS instance_health_events (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    event VARCHAR(50) NOT NULL,
+                    status_code INT NULL,
+                    reason VARCHAR(255) NULL,
+                    error TEXT NULL,
+                    created_at DATETIME NOT NULL,
+                    INDEX idx_instance_created (instance_id, created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('instance_health_events table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize instance_health_events table
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkInstanceHealthTable(pool);
+        logger.info('instance_health_events table check completed');
+    } catch (error) {
+        logger.error('Error initializing instance_health_events table:', error);
+    }
+})();
+
+// Function to name a Baileys disconnect status code, e.g. 401 is "loggedOut"
+const getDisconnectReason = (statusCode) => {
+    if (!statusCode) return null;
+    const name = Object.keys(DisconnectReason).find(key => DisconnectReason[key] === statusCode);
+    return name || `status ${statusCode}`;
+};
+
+// Function to record a connection change of an instance, never throws so it cannot break the socket handlers
+export const recordConnectionEvent = async (instanceId, event, { statusCode = null, error = null } = {}) => {
+    try {
+        const pool = await connectDB();
+        await pool.query(
+            'INSERT INTO instance_health_events (instance_id, event, status_code, reason, error, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+            [instanceId, event, statusCode, getDisconnectReason(statusCode), error]
+        );
+    } catch (dbError) {
+        logger.error('Failed to record instance health event:', { instanceId, event, error: dbError.message });
+    }
+};
+
+// Function to work out connected time, reconnects and disconnect reasons of one instance within a window
+const summarizeEvents = (events, statusAtStart, windowStart, windowEnd) => {
+    let connectedMs = 0;
+    let connectedFrom = statusAtStart === HEALTH_EVENT.CONNECTED ? windowStart : null;
+    let reconnects = 0;
+    const disconnectReasons = {};
+
+    for (const event of events) {
+        const at = new Date(event.created_at);
+
+        if (event.event === HEALTH_EVENT.CONNECTED) {
+            if (!connectedFrom) connectedFrom = at;
+            continue;
+        }
+
+        if (connectedFrom) {
+            connectedMs += at - connectedFrom;
+            connectedFrom = null;
+        }
+        if (event.event === HEALTH_EVENT.RECONNECTING) reconnects++;
+
+        const reason = event.reason || 'unknown';
+        disconnectReasons[reason] = (disconnectReasons[reason] || 0) + 1;
+    }
+
+    if (connectedFrom) {
+        connectedMs += windowEnd - connectedFrom;
+    }
+
+    const windowMs = windowEnd - windowStart;
+    return {
+        uptimeSeconds: Math.round(connectedMs / 1000),
+        uptimePercent: windowMs > 0 ? Math.round((connectedMs / windowMs) * 10000) / 100 : null,
+        reconnects,
+        disconnects: events.length - events.filter(event => event.event === HEALTH_EVENT.CONNECTED).length,
+        disconnectReasons
+    };
+};
+
+// Get connection uptime, disconnect reasons, reconnects and send error rates of every instance with a timeline,
+// along with the progress of the boot-time restore
+export const getInstancesHealth = async (req, res) => {
+    try {
+        const hours = Math.min(Math.max(parseInt(req.query.hours) || DEFAULT_WINDOW_HOURS, 1), MAX_WINDOW_HOURS);
+        const windowEnd = new Date();
+        const windowStart = new Date(windowEnd.getTime() - hours * 60 * 60 * 1000);
+
+        const pool = await connectDB();
+        await checkInstanceHealthTable(pool);
+
+        const [instanceRows] = req.query.instanceId
+            ? await pool.query('SELECT instance_id, register_id FROM instances WHERE instance_id = ?', [req.query.instanceId])
+            : await pool.query('SELECT instance_id, register_id FROM instances ORDER BY instance_id');
+
+        const [sendRows] = await pool.query(
+            `SELECT instance_id,
+                    SUM(message_status NOT IN ('pending', 'cancelled')) AS attempted,
+                    SUM(message_status = 'failed') AS failed
+             FROM media_messages
+             WHERE created_at >= ?
+             GROUP BY instance_id`,
+            [windowStart]
+        );
+        const sendsByInstance = new Map(sendRows.map(row => [row.instance_id, row]));
+
+        const health = [];
+        for (const { instance_id: instanceId, register_id: registerId } of instanceRows) {
+            const [events] = await pool.query(
+                'SELECT event, status_code, reason, error, created_at FROM instance_health_events WHERE instance_id = ? AND created_at >= ? ORDER BY created_at ASC, id ASC',
+                [instanceId, windowStart]
+            );
+            const [before] = await pool.query(
+                'SELECT event FROM instance_health_events WHERE instance_id = ? AND created_at < ? ORDER BY created_at DESC, id DESC LIMIT 1',
+                [instanceId, windowStart]
+            );
+
+            const live = instances[instanceId];
+            const lastDisconnect = [...events].reverse().find(event => event.event !== HEALTH_EVENT.CONNECTED) || null;
+            const sends = sendsByInstance.get(instanceId);
+            const attempted = Number(sends?.attempted || 0);
+            const failed = Number(sends?.failed || 0);
+
+            health.push({
+                instanceId,
+                registerId,
+                // Only the process holding the socket knows its live status
+                status: live?.status || 'not_loaded',
+                lastUpdate: live?.lastUpdate || null,
+                restore: getInstanceRestoreStatus(instanceId),
+                ...summarizeEvents(events, before[0]?.event, windowStart, windowEnd),
+                lastDisconnect: lastDisconnect
+                    ? { at: lastDisconnect.created_at, statusCode: lastDisconnect.status_code, reason: lastDisconnect.reason, error: lastDisconnect.error }
+                    : null,
+                sends: {
+                    attempted,
+                    failed,
+                    errorRate: attempted > 0 ? Math.round((failed / attempted) * 10000) / 100 : null
+                },
+                timeline: events.slice(-TIMELINE_LIMIT).reverse().map(event => ({
+                    at: event.created_at,
+                    event: event.event,
+                    statusCode: event.status_code,
+                    reason: event.reason
+                }))
+            });
+        }
+
+        res.json({
+            success: true,
+            window: { from: windowStart, to: windowEnd, hours },
+            restore: getRestoreProgress(),
+            instances: health
+        });
+    } catch (error) {
+        logger.error('Error in getInstancesHealth:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch instance health' });
+    }
+};
@@ -0,0 +1,142 @@
+// src/controllers/instanceRestore.js
+
+import connectDB from '../db/index.js';
+import { getPairedInstanceIds } from '../db/authState.js';
+import { logger } from '../logger.js';
+import { instances, initializeSock } from './qrcode.js';
+
+// Time between two reconnects, so WhatsApp does not see every session come back at once
+const RESTORE_STAGGER_MS = 3000;
+
+// Progress of the boot-time restore, reported by the health endpoint
+const restoreProgress = {
+    status: 'idle',
+    startedAt: null,
+    finishedAt: null,
+    instances: {},
+    skipped: []
+};
+
+// Function to find the instances to restore: a paired session in the auth state store and a row in the instances table
+const findRestorableInstances = async () => {
+    const pairedIds = await getPairedInstanceIds();
+
+    const pool = await connectDB();
+    const [rows] = await pool.query('SELECT instance_id FROM instances');
+    const knownIds = new Set(rows.map(row => row.instance_id));
+
+    const restorable = [];
+    for (const instanceId of pairedIds) {
+        if (!knownIds.has(instanceId)) {
+            restoreProgress.skipped.push({ instanceId, reason: 'not in the instances table' });
+        } else if (instances[instanceId]) {
+            restoreProgress.skipped.push({ instanceId, reason: 'already loaded' });
+        } else {
+            restorable.push(instanceId);
+        }
+    }
+
+    knownIds.forEach(instanceId => {
+        if (!pairedIds.includes(instanceId)) {
+            restoreProgress.skipped.push({ instanceId, reason: 'no paired session' });
+        }
+    });
+
+    return restorable;
+};
+
+// Function to set the restore status of one instance
+const setInstanceProgress = (instanceId, status, error = null) => {
+    restoreProgress.instances[instanceId] = { status, error, at: new Date() };
+};
+
+// Function to reconnect one instance from its saved session
+const restoreInstance = async (instanceId) => {
+    // A request may have connected it while it waited for its turn
+    if (instances[instanceId]) {
+        setInstanceProgress(instanceId, 'already_loaded');
+        return;
+    }
+    setInstanceProgress(instanceId, 'connecting');
+
+    try {
+        const result = await initializeSock(instanceId);
+
+        if (result.connected) {
+            setInstanceProgress(instanceId, 'restored');
+            return;
+        }
+
+        // WhatsApp asked for a QR code, the session was unlinked from the phone
+        const instance = instances[instanceId];
+        try {
+            instance?.sock?.end();
+        } catch (endError) {
+            logger.error('Error closing unpaired socket:', { instanceId, error: endError.message });
+        }
+        // Removed after closing, so the close handler finds no current socket to reconnect
+        delete instances[instanceId];
+        setInstanceProgress(instanceId, 'needs_pairing');
+    } catch (error) {
+        logger.error('Failed to restore instance:', { instanceId, error: error.message });
+        setInstanceProgress(instanceId, 'failed', error.message);
+    }
+};
+
+// Function to get the progress of the boot-time restore with counts per status
+export const getRestoreProgress = () => {
+    const counts = { pending: 0, connecting: 0, restored: 0, already_loaded: 0, needs_pairing: 0, failed: 0 };
+    Object.values(restoreProgress.instances).forEach(instance => { counts[instance.status]++; });
+
+    return {
+        status: restoreProgress.status,
+        startedAt: restoreProgress.startedAt,
+        finishedAt: restoreProgress.finishedAt,
+        total: Object.keys(restoreProgress.instances).length,
+        ...counts,
+        skipped: restoreProgress.skipped
+    };
+};
+
+// Function to get the restore status of one instance, or null when it was not restored at boot
+export const getInstanceRestoreStatus = (instanceId) => restoreProgress.instances[instanceId] || null;
+
+// Initialize the boot-time restore of every paired instance.
+// Set RESTORE_INSTANCES_ON_BOOT=false on all but one process when running several,
+// as a session can only be connected from one place
+export const initializeInstanceRestore = () => {
+    if (process.env.RESTORE_INSTANCES_ON_BOOT === 'false') {
+        restoreProgress.status = 'disabled';
+        logger.info('Instance restore on boot is disabled');
+        return;
+    }
+
+    logger.info('Initializing instance restore...');
+    restoreProgress.status = 'running';
+    restoreProgress.startedAt = new Date();
+
+    (async () => {
+        try {
+            const instanceIds = await findRestorableInstances();
+            instanceIds.forEach(instanceId => setInstanceProgress(instanceId, 'pending'));
+            logger.info(`Restoring ${instanceIds.length} instances`, { skipped: restoreProgress.skipped.length });
+
+            const restores = [];
+            for (const [index, instanceId] of instanceIds.entries()) {
+                if (index > 0) {
+                    await new Promise(resolve => setTimeout(resolve, RESTORE_STAGGER_MS));
+                }
+                restores.push(restoreInstance(instanceId));
+            }
+            await Promise.all(restores);
+
+            restoreProgress.status = 'completed';
+            logger.info('Instance restore completed:', getRestoreProgress());
+        } catch (error) {
+            restoreProgress.status = 'failed';
+            logger.error('Error in instance restore:', { error: error.message, stack: error.stack });
+        } finally {
+            restoreProgress.finishedAt = new Date();
+        }
+    })();
+};
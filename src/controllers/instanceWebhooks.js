@@ -0,0 +1,460 @@
+// src/controllers/instanceWebhooks.js
+
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import cron from 'node-cron';
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+
+// Events an instance can subscribe to
+export const WEBHOOK_EVENTS = ['message.status', 'message.inbound', 'connection.update', 'instance.failover'];
+
+const MAX_ATTEMPTS = 6;
+const REQUEST_TIMEOUT_MS = 10000;
+// A delivery being attempted is pushed back this long, so no other attempt picks it up meanwhile
+const DELIVERY_LEASE_SECONDS = 60;
+
+// Addresses webhooks may not point at: loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Function to tell whether an IP address is one webhooks may not reach,
+// BlockList matches IPv4-mapped IPv6 addresses against the IPv4 ranges too
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+// DNS lookup used for every delivery, so a host cannot resolve to a public address when registered
+// and to an internal one when called
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a private address ${blocked.address}`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+// Function to check that a webhook URL is http(s) and points at a public address. Returns an error message or null
+const validateWebhookUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'A valid http(s) url is required';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'A valid http(s) url is required';
+    }
+
+    // Literal IPs never go through the lookup, so they are checked here
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (isIP(hostname)) {
+        return isBlockedAddress(hostname) ? 'Webhook url cannot point at a private address' : null;
+    }
+
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            return 'Webhook url cannot point at a private address';
+        }
+    } catch (error) {
+        return `Webhook host ${hostname} cannot be resolved`;
+    }
+    return null;
+};
+
+// Helper function to make sure the webhook tables exist
+const checkWebhookTables = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM instance_webhooks LIMIT 1');
+        await pool.query('SELECT 1 FROM webhook_deliveries LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating webhook tables...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS instance_webhooks (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    url VARCHAR(1024) NOT NULL,
+                    secret VARCHAR(255) NOT NULL,
+                    events VARCHAR(255) NOT NULL DEFAULT '*',
+                    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_instance_id (instance_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    webhook_id INT NOT NULL,
+                    instance_id VARCHAR(255) NOT NULL,
+                    event VARCHAR(50) NOT NULL,
+                    payload LONGTEXT NOT NULL,
+                    status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+                    attempts INT NOT NULL DEFAULT 0,
+                    response_status INT NULL,
+                    last_error TEXT NULL,
+                    next_attempt_at DATETIME NULL,
+                    delivered_at DATETIME NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_instance_id (instance_id),
+                    INDEX idx_status_next_attempt (status, next_attempt_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('Webhook tables created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize webhook tables
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkWebhookTables(pool);
+        logger.info('Webhook tables check completed');
+    } catch (error) {
+        logger.error('Error initializing webhook tables:', error);
+    }
+})();
+
+// Function to sign a payload with the webhook secret. The timestamp is signed along with the body
+// as "<timestamp>.<body>", so receivers can reject old requests replayed by someone who captured them
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Exponential backoff between attempts: 30s, 1m, 2m, 4m, 8m
+const getRetryDelayMs = (attempts) => 30000 * Math.pow(2, attempts - 1);
+
+// Function to POST one delivery to its webhook and record the outcome
+const attemptDelivery = async (delivery, webhook) => {
+    const pool = await connectDB();
+    const body = delivery.payload;
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        // Checked on every attempt, the url may have been registered before this check existed
+        const urlError = await validateWebhookUrl(webhook.url);
+        if (urlError) {
+            throw new Error(urlError);
+        }
+
+        const response = await axios.post(webhook.url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            // Redirects could lead to an internal address
+            maxRedirects: 0,
+            httpAgent,
+            httpsAgent,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+            }
+        });
+
+        await pool.execute(
+            `UPDATE webhook_deliveries
+             SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL, next_attempt_at = NULL, delivered_at = NOW()
+             WHERE id = ?`,
+            [attempts, response.status, delivery.id]
+        );
+
+        logger.info('Webhook delivered:', { deliveryId: delivery.id, event: delivery.event, url: webhook.url });
+        return true;
+    } catch (error) {
+        const responseStatus = error.response ? error.response.status : null;
+        const exhausted = attempts >= MAX_ATTEMPTS;
+
+        await pool.execute(
+            `UPDATE webhook_deliveries
+             SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?
+             WHERE id = ?`,
+            [
+                exhausted ? 'failed' : 'pending',
+                attempts,
+                responseStatus,
+                error.message,
+                exhausted ? null : new Date(Date.now() + getRetryDelayMs(attempts)),
+                delivery.id
+            ]
+        );
+
+        logger.warn('Webhook delivery failed:', {
+            deliveryId: delivery.id,
+            event: delivery.event,
+            url: webhook.url,
+            attempts,
+            responseStatus,
+            error: error.message
+        });
+        return false;
+    }
+};
+
+// Function to queue an event for every webhook of the instance subscribed to it
+export const emitInstanceEvent = async (instanceId, event, data) => {
+    try {
+        const pool = await connectDB();
+        const [webhooks] = await pool.query(
+            'SELECT * FROM instance_webhooks WHERE instance_id = ? AND is_active = TRUE',
+            [instanceId]
+        );
+
+        for (const webhook of webhooks) {
+            const events = webhook.events.split(',').map(e => e.trim());
+            if (!events.includes('*') && !events.includes(event)) continue;
+
+            const payload = JSON.stringify({
+                event,
+                instanceId,
+                timestamp: new Date().toISOString(),
+                data
+            });
+
+            const [result] = await pool.execute(
+                `INSERT INTO webhook_deliveries (webhook_id, instance_id, event, payload, status, attempts, next_attempt_at)
+                 VALUES (?, ?, ?, ?, 'pending', 0, NOW() + INTERVAL ? SECOND)`,
+                [webhook.id, instanceId, event, payload, DELIVERY_LEASE_SECONDS]
+            );
+
+            // First attempt right away under the lease set above,
+            // the dispatcher picks up retries and anything left behind by a restart
+            attemptDelivery({ id: result.insertId, event, payload, attempts: 0 }, webhook)
+                .catch(error => logger.error('Error delivering webhook:', { error: error.message }));
+        }
+    } catch (error) {
+        logger.error('Failed to emit instance event:', { error: error.message, instanceId, event });
+    }
+};
+
+// Initialize the dispatcher that retries pending deliveries
+export const initializeWebhookDispatcher = () => {
+    logger.info('Initializing webhook dispatcher...');
+
+    let isRunning = false;
+    const dispatcher = cron.schedule('*/30 * * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            const pool = await connectDB();
+            const [deliveries] = await pool.query(
+                `SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+                 FROM webhook_deliveries d
+                 JOIN instance_webhooks w ON w.id = d.webhook_id
+                 WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active = TRUE
+                 ORDER BY d.next_attempt_at ASC
+                 LIMIT 50`
+            );
+
+            for (const delivery of deliveries) {
+                // Claim the delivery first, another process or a replay may be attempting it already
+                const [claim] = await pool.query(
+                    `UPDATE webhook_deliveries SET next_attempt_at = NOW() + INTERVAL ? SECOND
+                     WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()`,
+                    [DELIVERY_LEASE_SECONDS, delivery.id]
+                );
+                if (claim.affectedRows === 0) continue;
+
+                await attemptDelivery(delivery, { url: delivery.url, secret: delivery.secret });
+            }
+        } catch (error) {
+            logger.error('Error in webhook dispatcher:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    dispatcher.start();
+    logger.info('Webhook dispatcher initialized');
+};
+
+// Register a callback URL for an instance
+export const registerWebhook = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { url, events } = req.body;
+
+        const urlError = url ? await validateWebhookUrl(url) : 'A valid http(s) url is required';
+        if (urlError) {
+            return res.status(400).json({ success: false, message: urlError });
+        }
+
+        const eventList = Array.isArray(events) && events.length > 0 ? events : ['*'];
+        const invalidEvents = eventList.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+        if (invalidEvents.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown events: ${invalidEvents.join(', ')}`,
+                allowedEvents: WEBHOOK_EVENTS
+            });
+        }
+
+        const pool = await connectDB();
+        await checkWebhookTables(pool);
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const [result] = await pool.execute(
+            'INSERT INTO instance_webhooks (instance_id, url, secret, events) VALUES (?, ?, ?, ?)',
+            [instanceId, url, secret, eventList.join(',')]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registered successfully',
+            webhook: {
+                id: result.insertId,
+                url,
+                events: eventList,
+                // Only returned once, X-Webhook-Signature is the HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>" with it
+                secret
+            }
+        });
+    } catch (error) {
+        logger.error('Error in registerWebhook:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to register webhook' });
+    }
+};
+
+// List the callback URLs of an instance
+export const listWebhooks = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const pool = await connectDB();
+        await checkWebhookTables(pool);
+
+        const [webhooks] = await pool.query(
+            'SELECT id, url, events, is_active, created_at FROM instance_webhooks WHERE instance_id = ? ORDER BY id DESC',
+            [instanceId]
+        );
+
+        res.json({
+            success: true,
+            webhooks: webhooks.map(webhook => ({ ...webhook, events: webhook.events.split(',') }))
+        });
+    } catch (error) {
+        logger.error('Error in listWebhooks:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch webhooks' });
+    }
+};
+
+// Remove a callback URL
+export const deleteWebhook = async (req, res) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const pool = await connectDB();
+
+        const [result] = await pool.execute(
+            'DELETE FROM instance_webhooks WHERE id = ? AND instance_id = ?',
+            [webhookId, instanceId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        res.json({ success: true, message: 'Webhook deleted successfully' });
+    } catch (error) {
+        logger.error('Error in deleteWebhook:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to delete webhook' });
+    }
+};
+
+// Inspect the delivery log of an instance
+export const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { status } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const pool = await connectDB();
+        await checkWebhookTables(pool);
+
+        const params = [instanceId];
+        let where = 'WHERE instance_id = ?';
+        if (status) {
+            where += ' AND status = ?';
+            params.push(status);
+        }
+
+        const [deliveries] = await pool.query(
+            `SELECT id, webhook_id, event, payload, status, attempts, response_status, last_error,
+                    next_attempt_at, delivered_at, created_at
+             FROM webhook_deliveries ${where}
+             ORDER BY id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({
+            success: true,
+            deliveries: deliveries.map(delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) })),
+            pagination: { page, limit }
+        });
+    } catch (error) {
+        logger.error('Error in getWebhookDeliveries:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch webhook deliveries' });
+    }
+};
+
+// Replay a delivery with its original payload
+export const replayWebhookDelivery = async (req, res) => {
+    try {
+        const { instanceId, deliveryId } = req.params;
+        const pool = await connectDB();
+
+        const [rows] = await pool.query(
+            `SELECT d.id, d.event, d.payload, w.url, w.secret
+             FROM webhook_deliveries d
+             JOIN instance_webhooks w ON w.id = d.webhook_id
+             WHERE d.id = ? AND d.instance_id = ?`,
+            [deliveryId, instanceId]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+
+        const delivery = rows[0];
+
+        // A replay gets a fresh set of attempts, leased so the dispatcher leaves it to this request
+        await pool.execute(
+            "UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW() + INTERVAL ? SECOND WHERE id = ?",
+            [DELIVERY_LEASE_SECONDS, delivery.id]
+        );
+
+        const delivered = await attemptDelivery({ ...delivery, attempts: 0 }, delivery);
+
+        res.json({
+            success: true,
+            delivered,
+            message: delivered ? 'Delivery replayed successfully' : 'Replay failed, it will be retried automatically'
+        });
+    } catch (error) {
+        logger.error('Error in replayWebhookDelivery:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to replay delivery' });
+    }
+};
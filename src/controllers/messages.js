@@ -4,6 +4,18 @@ import connectDB from '../db/index.js';
 import fs from 'fs';
 import path from 'path';
 import { logger } from '../logger.js';
+import { emitInstanceEvent } from './instanceWebhooks.js';
+import { startSendJob } from './sendJobs.js';
+import { getNextSendSlot } from './sendWindows.js';
+import { waitForSendSlot } from './throttling.js';
+import { runInSendQueue } from './sendQueue.js';
+import { instances } from './qrcode.js';
+
+// How often a send waiting for its window re-checks the window and whether it was stopped
+const SEND_WINDOW_POLL_MS = 60000;
+// How often a send waiting for its instance to reconnect checks again, and how long it waits at most
+const RECONNECT_POLL_MS = 5000;
+const RECONNECT_WAIT_MS = 10 * 60 * 1000;
 
 // Function to format the scheduled time
 const formatScheduledAt = (scheduledAt) => {
@@ -62,10 +74,10 @@ const replacePlaceholders = async (text, phoneNumber, instanceId) => {
     }
 };
 
-// Function to save messaging data to the database
-export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, messageStatus, whatsappMessageId) => {
+// Function to save messaging data to the database, on options.connection when the rows belong to a transaction
+export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, messageStatus, whatsappMessageId, options = {}) => {
     try {
-        const connection = await connectDB();
+        const connection = options.connection || await connectDB();
         
         // Define valid ENUM values for message_status
         const validMessageStatus = ['sent', 'delivered', 'read', 'failed', 'pending'];
@@ -83,8 +95,8 @@ export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, med
         // Insert messages into database
         const query = `
             INSERT INTO media_messages 
-            (instance_id, recipient, message, media, caption, schedule_time, message_status, whatsapp_message_id, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW());
+            (instance_id, recipient, message, media, caption, schedule_time, message_status, whatsapp_message_id, campaign_id, send_job_id, recurring_schedule_id, claimed_by, claimed_at, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, NOW()), NOW());
         `;
         
         const results = await Promise.all(
@@ -97,7 +109,12 @@ export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, med
                     processedCaption || null,
                     formatScheduledAt(scheduleTime),
                     messageStatusValidated,
-                    whatsappMessageId || null
+                    whatsappMessageId || null,
+                    options.campaignId || null,
+                    options.sendJobId || null,
+                    options.recurringScheduleId || null,
+                    options.claimedBy || null,
+                    options.claimedBy || null
                 ];
                 
                 logger.info('Logging to DB:', { 
@@ -148,6 +165,13 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
 
         if (result.affectedRows > 0) {
             logger.info(`Message status updated successfully for message ID ${messageId} to ${newStatus}`);
+
+            emitInstanceEvent(instance_id, 'message.status', {
+                id: messageId,
+                whatsappMessageId: whatsapp_message_id,
+                recipient,
+                status: newStatus
+            });
             
             // If we have a WhatsApp message ID, update the report_time table as well
             if (whatsapp_message_id) {
@@ -212,7 +236,11 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
 };
 
 // Function to send messages
-export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, instanceId, filePath, scheduleTime) => {
+// options.campaignId and options.sendJobId tag every row, options.shouldContinue is checked
+// before each recipient and options.onMessageProcessed is called with the outcome of each recipient.
+// Outside the instance's send window it waits, calling options.onDeferred with when sending resumes.
+// While the instance reconnects it waits as well and carries on with the new socket
+export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, instanceId, filePath, scheduleTime, options = {}) => {
     let totalMessagesSent = 0;
     const totalNumbers = messages.length;
     const MAX_RETRIES = 3;
@@ -226,14 +254,58 @@ export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, insta
 
     const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    const getRandomDelay = () => {
-        // Random delay between 2 to 2.5 seconds
-        return Math.floor(Math.random() * (2500 - 2000)) + 2000;
+    // Returns false when the send was stopped while waiting for the window to open
+    const waitForSendWindow = async () => {
+        let deferredUntil = null;
+        while (true) {
+            const sendAt = await getNextSendSlot(instanceId);
+            const waitMs = sendAt - Date.now();
+
+            if (waitMs <= 0) {
+                if (deferredUntil && options.onDeferred) options.onDeferred(null);
+                return true;
+            }
+
+            if (!deferredUntil || deferredUntil.getTime() !== sendAt.getTime()) {
+                deferredUntil = sendAt;
+                logger.info(`Outside the send window, waiting until ${sendAt.toISOString()}`, { instanceId });
+                if (options.onDeferred) options.onDeferred(sendAt);
+            }
+
+            await sleep(Math.min(waitMs, SEND_WINDOW_POLL_MS));
+            if (options.shouldContinue && !(await options.shouldContinue())) {
+                return false;
+            }
+        }
+    };
+
+    // Returns false when the send was stopped while waiting for the instance to reconnect
+    const waitForConnection = async () => {
+        const waitingSince = Date.now();
+        let loggedWait = false;
+        while (instances[instanceId]?.status !== 'connected') {
+            if (Date.now() - waitingSince >= RECONNECT_WAIT_MS) {
+                throw new Error('WhatsApp connection lost');
+            }
+            if (!loggedWait) {
+                logger.info('Instance is not connected, waiting for it to reconnect', { instanceId });
+                loggedWait = true;
+            }
+
+            await sleep(RECONNECT_POLL_MS);
+            if (options.shouldContinue && !(await options.shouldContinue())) {
+                return false;
+            }
+        }
+
+        // A reconnect replaces the socket
+        sock = instances[instanceId].sock;
+        return true;
     };
 
     const sendWithRetry = async (jid, messageContent, retryCount = 0) => {
         try {
-            const result = await sock.sendMessage(jid, messageContent);
+            const result = await runInSendQueue(instanceId, () => sock.sendMessage(jid, messageContent));
             return { success: true, result };
         } catch (error) {
             if (retryCount < MAX_RETRIES && error.message === 'Timed Out') {
@@ -247,6 +319,26 @@ export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, insta
 
     for (const message of messages) {
         const jid = `${message.number}@s.whatsapp.net`;
+        let dbMessageId = null;
+        let outcome;
+
+        if (options.shouldContinue && !(await options.shouldContinue())) {
+            logger.info(`Sending stopped after ${totalMessagesSent}/${totalNumbers} messages`);
+            break;
+        }
+
+        if (!(await waitForSendWindow())) {
+            logger.info(`Sending stopped while waiting for the send window after ${totalMessagesSent}/${totalNumbers} messages`);
+            break;
+        }
+
+        if (!(await waitForConnection())) {
+            logger.info(`Sending stopped while waiting for the instance to reconnect after ${totalMessagesSent}/${totalNumbers} messages`);
+            break;
+        }
+
+        // Pace the send with the instance's throttle profile
+        await waitForSendSlot(instanceId);
 
         try {
             let isMediaSent = false;
@@ -268,8 +360,8 @@ export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, insta
                 });
             }
 
-            // First store the message as pending
-            const dbMessageId = await logMediaMessageToDB(
+            // First store the message as pending, a resumed job reuses the row it already logged
+            dbMessageId = message.dbMessageId || await logMediaMessageToDB(
                 instanceId,
                 [message.number],
                 message.text || null, // Store original message with placeholders
@@ -277,7 +369,9 @@ export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, insta
                 message.caption || null, // Store original caption with placeholders
                 scheduleTime,
                 'pending',
-                null // whatsapp_message_id will be updated after sending
+                null, // whatsapp_message_id will be updated after sending
+                // Claimed by the job, never by a process, so no scheduler takes the row over from this send
+                { campaignId: options.campaignId, sendJobId: options.sendJobId, claimedBy: `job:${options.sendJobId}` }
             );
 
             // Send media with caption if mediaPayload exists
@@ -333,22 +427,26 @@ export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, insta
                 }
             }
 
-            // Add a random delay between messages to prevent detection
-            const randomDelay = getRandomDelay();
-            logger.info(`Waiting ${randomDelay/1000} seconds before next message...`);
-            await sleep(randomDelay);
-
-            // Update the message with WhatsApp message ID and status
+            // Update the message with WhatsApp message ID and status right away,
+            // so a job resumed after a restart sees it was sent and does not send it twice
             await updateMessageWithWhatsAppId(dbMessageId, whatsappMessageId);
 
             totalMessagesSent++;
             logger.info(`Progress: ${totalMessagesSent}/${totalNumbers} messages sent`);
 
+            outcome = { success: true, dbMessageId, whatsappMessageId };
         } catch (err) {
             logger.error(`Error sending message to ${message.number}:`, { 
                 error: err.message,
                 stack: err.stack 
             });
+
+            outcome = { success: false, dbMessageId, error: err.message };
+        }
+
+        // Called once per recipient outside the try, so a failing hook cannot report a sent message as failed too
+        if (options.onMessageProcessed) {
+            await options.onMessageProcessed(message, outcome);
         }
     }
 
@@ -498,6 +596,13 @@ export const updateMessageWithWhatsAppId = async (dbId, whatsappMessageId) => {
         
         if (result.affectedRows > 0) {
             logger.info(`Message ${dbId} updated with WhatsApp ID ${whatsappMessageId}`);
+
+            emitInstanceEvent(instance_id, 'message.status', {
+                id: dbId,
+                whatsappMessageId,
+                recipient,
+                status: 'sent'
+            });
             
             // Migrate the message to report_time table
             await migrateMessageToReportTime(instance_id, recipient, whatsappMessageId, 'sent', created_at);
@@ -545,21 +650,17 @@ export const sendMessages = async (req, res) => {
                     null // whatsapp_message_id will be updated after sending
                 );
 
+                // Pace the send with the instance's throttle profile
+                await waitForSendSlot(instanceId);
+
                 // Send message and get WhatsApp message ID
-                const whatsappMessageId = await sendTextMessage(sock, messageData.recipient, messageData.message);
+                const whatsappMessageId = await runInSendQueue(instanceId, () => sendTextMessage(sock, messageData.recipient, messageData.message));
                 
                 // Update DB record with WhatsApp message ID and status
                 await updateMessageWithWhatsAppId(dbId, whatsappMessageId);
 
                 progress++;
                 logger.info(`Progress: ${progress}/${total} messages sent`);
-
-                // Add delay between messages
-                if (progress < total) {
-                    const delay = Math.random() * 4000 + 2000; // 2-6 seconds
-                    logger.info(`Waiting ${(delay/1000).toFixed(3)} seconds before next message...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
             } catch (error) {
                 logger.error('Failed to send message:', error);
                 // Update status to failed if we have a dbId
@@ -576,6 +677,115 @@ export const sendMessages = async (req, res) => {
     }
 };
 
+// Function to get the active subscription and remaining message count for an instance
+export const getMessageQuota = async (instanceId) => {
+    const connection = await connectDB();
+    const [subscriptionDetails] = await connection.query(
+        'SELECT s.* FROM subscription s ' +
+        'WHERE s.instance_id = ? ' +
+        'AND s.date_expiry >= CURDATE() ' +  // Only get active subscription
+        'ORDER BY s.created_at DESC, s.id DESC ' +  // Order by created_at and id to get the newest
+        'LIMIT 1',
+        [instanceId]
+    );
+
+    if (!subscriptionDetails || subscriptionDetails.length === 0) {
+        return null;
+    }
+
+    const subscription = subscriptionDetails[0];
+    logger.info('Current Subscription:', { subscription });
+
+    // Get count of messages sent in current subscription period
+    const [messageCount] = await connection.query(
+        'SELECT COUNT(*) as count FROM media_messages ' +
+        'WHERE instance_id = ? ' +
+        'AND created_at >= ? ' +
+        'AND created_at <= COALESCE(?, NOW()) ' +  // Only count messages within subscription period
+        'AND created_at >= (SELECT created_at FROM subscription ' +  // Only count messages after this subscription was created
+        '                  WHERE instance_id = ? ' +
+        '                  AND id = ?)',
+        [instanceId, subscription.date_purchased, subscription.date_expiry, instanceId, subscription.id]
+    );
+
+    const totalMessagesSent = messageCount[0].count;
+    const messagesRemaining = subscription.num_messages - totalMessagesSent;
+
+    logger.info('Message Stats:', {
+        totalMessages: subscription.num_messages,
+        totalSent: totalMessagesSent,
+        remaining: messagesRemaining,
+        subscriptionId: subscription.id,
+        datePurchased: subscription.date_purchased,
+        dateExpiry: subscription.date_expiry,
+        createdAt: subscription.created_at
+    });
+
+    return { subscription, totalMessagesSent, messagesRemaining };
+};
+
+// Function to build a Baileys media payload from a file, based on its extension
+export const buildMediaPayload = (fileBuffer, filePath, caption) => {
+    const fileExtension = path.extname(filePath).toLowerCase();
+    const mimeTypes = {
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.mp4': 'video/mp4',
+        '.mov': 'video/quicktime',
+        '.mp3': 'audio/mpeg',
+        '.wav': 'audio/wav',
+        '.ogg': 'audio/ogg',
+        '.pdf': 'application/pdf',
+        '.doc': 'application/msword',
+        '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    };
+
+    switch (fileExtension) {
+        case '.jpg':
+        case '.jpeg':
+        case '.png':
+            return {
+                image: fileBuffer,
+                caption: caption || '',
+                mimetype: mimeTypes[fileExtension]
+            };
+        case '.mp4':
+        case '.mov':
+            return {
+                video: fileBuffer,
+                caption: caption || '',
+                mimetype: mimeTypes[fileExtension]
+            };
+        case '.mp3':
+        case '.wav':
+        case '.ogg':
+            return {
+                audio: fileBuffer,
+                mimetype: mimeTypes[fileExtension],
+                ptt: fileExtension === '.ogg',
+                caption: caption || ''
+            };
+        case '.pdf':
+        case '.doc':
+        case '.docx':
+            return {
+                document: fileBuffer,
+                mimetype: mimeTypes[fileExtension],
+                fileName: path.basename(filePath),
+                caption: caption || ''
+            };
+        default:
+            // For Excel and other files, send as document with auto-detected mimetype
+            return {
+                document: fileBuffer,
+                fileName: path.basename(filePath),
+                caption: caption || '',
+                mimetype: 'application/octet-stream'  // Generic binary file type
+            };
+    }
+};
+
 // Handle media message sending
 export const sendMedia = async (req, res) => {
     const { instanceId, sock } = req;
@@ -590,51 +800,17 @@ export const sendMedia = async (req, res) => {
             });
         }
 
-        // Get latest subscription details
-        const connection = await connectDB();
-        const [subscriptionDetails] = await connection.query(
-            'SELECT s.* FROM subscription s ' +
-            'WHERE s.instance_id = ? ' +
-            'AND s.date_expiry >= CURDATE() ' +  // Only get active subscription
-            'ORDER BY s.created_at DESC, s.id DESC ' +  // Order by created_at and id to get the newest
-            'LIMIT 1',
-            [instanceId]
-        );
+        // Get remaining messages for the active subscription
+        const quota = await getMessageQuota(instanceId);
 
-        if (!subscriptionDetails || subscriptionDetails.length === 0) {
+        if (!quota) {
             return res.status(400).json({
                 success: false,
                 message: 'No active subscription found'
             });
         }
 
-        const subscription = subscriptionDetails[0];
-        logger.info('Current Subscription:', { subscription });
-
-        // Get count of messages sent in current subscription period
-        const [messageCount] = await connection.query(
-            'SELECT COUNT(*) as count FROM media_messages ' +
-            'WHERE instance_id = ? ' +
-            'AND created_at >= ? ' +
-            'AND created_at <= COALESCE(?, NOW()) ' +  // Only count messages within subscription period
-            'AND created_at >= (SELECT created_at FROM subscription ' +  // Only count messages after this subscription was created
-            '                  WHERE instance_id = ? ' +
-            '                  AND id = ?)',
-            [instanceId, subscription.date_purchased, subscription.date_expiry, instanceId, subscription.id]
-        );
-
-        const totalMessagesSent = messageCount[0].count;
-        const messagesRemaining = subscription.num_messages - totalMessagesSent;
-
-        logger.info('Message Stats:', {
-            totalMessages: subscription.num_messages,
-            totalSent: totalMessagesSent,
-            remaining: messagesRemaining,
-            subscriptionId: subscription.id,
-            datePurchased: subscription.date_purchased,
-            dateExpiry: subscription.date_expiry,
-            createdAt: subscription.created_at
-        });
+        const { messagesRemaining } = quota;
 
         if (messagesRemaining <= 0) {
             return res.status(400).json({
@@ -684,67 +860,7 @@ export const sendMedia = async (req, res) => {
 
                 fileExtension = path.extname(filePath).toLowerCase();
                 const fileBuffer = await fs.promises.readFile(filePath);
-                const mimeTypes = {
-                    '.jpg': 'image/jpeg',
-                    '.jpeg': 'image/jpeg',
-                    '.png': 'image/png',
-                    '.mp4': 'video/mp4',
-                    '.mov': 'video/quicktime',
-                    '.mp3': 'audio/mpeg',
-                    '.wav': 'audio/wav',
-                    '.ogg': 'audio/ogg',
-                    '.pdf': 'application/pdf',
-                    '.doc': 'application/msword',
-                    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-                };
-
-                switch (fileExtension) {
-                    case '.jpg':
-                    case '.jpeg':
-                    case '.png':
-                        mediaPayload = {
-                            image: fileBuffer,
-                            caption: messages[0].caption || '',
-                            mimetype: mimeTypes[fileExtension]
-                        };
-                        break;
-                    case '.mp4':
-                    case '.mov':
-                        mediaPayload = {
-                            video: fileBuffer,
-                            caption: messages[0].caption || '',
-                            mimetype: mimeTypes[fileExtension]
-                        };
-                        break;
-                    case '.mp3':
-                    case '.wav':
-                    case '.ogg':
-                        mediaPayload = {
-                            audio: fileBuffer,
-                            mimetype: mimeTypes[fileExtension],
-                            ptt: fileExtension === '.ogg',
-                            caption: messages[0].caption || ''
-                        };
-                        break;
-                    case '.pdf':
-                    case '.doc':
-                    case '.docx':
-                        mediaPayload = {
-                            document: fileBuffer,
-                            mimetype: mimeTypes[fileExtension],
-                            fileName: path.basename(filePath),
-                            caption: messages[0].caption || ''
-                        };
-                        break;
-                    default:
-                        // For Excel and other files, send as document with auto-detected mimetype
-                        mediaPayload = {
-                            document: fileBuffer,
-                            fileName: path.basename(filePath),
-                            caption: messages[0].caption || '',
-                            mimetype: 'application/octet-stream'  // Generic binary file type
-                        };
-                }
+                mediaPayload = buildMediaPayload(fileBuffer, filePath, messages[0].caption);
 
                 // Log the media payload for debugging
                 logger.info('Media payload created:', {
@@ -762,21 +878,24 @@ export const sendMedia = async (req, res) => {
             }
         }
 
-        // Send messages with logging
-        const totalSent = await sendMessagesOneAtATime(
+        // Send messages in the background, progress is polled or streamed by job ID
+        const job = await startSendJob({
+            instanceId,
+            sock,
             messages,
             mediaPayload,
-            sock,
-            instanceId,
             filePath,
             scheduleTime
-        );
+        });
 
-        // Return success response
-        res.json({
+        // Return the job right away
+        res.status(202).json({
             success: true,
-            message: `Successfully processed ${totalSent} messages`,
-            totalMessages: totalSent
+            message: `Sending ${messages.length} messages in the background`,
+            jobId: job.id,
+            totalMessages: messages.length,
+            statusUrl: `/${instanceId}/send-jobs/${job.id}`,
+            eventsUrl: `/${instanceId}/send-jobs/${job.id}/events`
         });
 
     } catch (error) {
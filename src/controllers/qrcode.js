@@ -1,28 +1,41 @@
 // src/controllers/qrcode.js
 
-import fs from 'fs';
-import path from 'path';
 import qrcode from 'qrcode';
-import { makeWASocket, DisconnectReason, useMultiFileAuthState } from '@whiskeysockets/baileys';
+import { EventEmitter } from 'events';
+import { makeWASocket, DisconnectReason } from '@whiskeysockets/baileys';
 import { logger } from '../logger.js';
 // In qrcode.js, import the setupMessageStatusTracking
 import { setupMessageStatusTracking } from './updateStatus.js';
+import { setupInboundMessageCapture } from './inbox.js';
+import { emitInstanceEvent } from './instanceWebhooks.js';
+import { HEALTH_EVENT, recordConnectionEvent } from './instanceHealth.js';
+import { scheduleReconnectReconciliation } from './statusReconciliation.js';
+import { useInstanceAuthState, removeInstanceAuthState } from '../db/authState.js';
 
 // Store active instances
 export const instances = {};
 
-// Initialize WhatsApp connection for a specific instance
-export const initializeSock = async (instanceId) => {
+// Linking events of each instance (qr, scanned, connected, disconnected), they outlive its sockets
+const linkEmitters = new Map();
+
+// Function to get the linking event emitter of an instance
+const getLinkEmitter = (instanceId) => {
+    if (!linkEmitters.has(instanceId)) {
+        const emitter = new EventEmitter();
+        emitter.setMaxListeners(0);
+        linkEmitters.set(instanceId, emitter);
+    }
+    return linkEmitters.get(instanceId);
+};
+
+// Initialize WhatsApp connection for a specific instance.
+// With options.pairingPhoneNumber a pairing code for that number is requested instead of a QR code
+export const initializeSock = async (instanceId, options = {}) => {
     try {
         logger.info(`Initializing WhatsApp connection for instance ${instanceId}`);
         
-        const userDir = path.join(process.cwd(), 'users');
-        const authFolder = path.join(userDir, `instance_${instanceId}`);
-
-        if (!fs.existsSync(userDir)) fs.mkdirSync(userDir);
-        if (!fs.existsSync(authFolder)) fs.mkdirSync(authFolder);
-
-        const { state, saveCreds } = await useMultiFileAuthState(authFolder);
+        // Auth folder under users/ or MySQL, depending on AUTH_STATE_STORE
+        const { state, saveCreds } = await useInstanceAuthState(instanceId);
 
         // Initialize WhatsApp socket with required options
         const sock = makeWASocket({
@@ -46,6 +59,9 @@ export const initializeSock = async (instanceId) => {
         // Setup message status tracking
         setupMessageStatusTracking(sock, instanceId);
 
+        // Persist incoming replies to the inbox
+        setupInboundMessageCapture(sock, instanceId);
+
         // Save credentials whenever updated
         sock.ev.on('creds.update', saveCreds);
 
@@ -74,7 +90,29 @@ export const initializeSock = async (instanceId) => {
 
                 logger.info('Connection update:', { update });
 
-                if (qr && !hasResolved) {
+                if (qr && options.pairingPhoneNumber) {
+                    // The pairing code stays valid while the QR code rotates, so it is requested once
+                    if (!hasResolved) {
+                        logger.info(`Requesting pairing code for instance ${instanceId}`);
+                        try {
+                            const pairingCode = await sock.requestPairingCode(options.pairingPhoneNumber);
+
+                            instances[instanceId] = {
+                                sock,
+                                pairingCode,
+                                status: 'disconnected',
+                                lastUpdate: new Date()
+                            };
+
+                            resolve({ pairingCode });
+                            hasResolved = true;
+                        } catch (err) {
+                            logger.error('Error requesting pairing code:', { error: err.message, stack: err.stack });
+                            reject(err);
+                        }
+                    }
+                } else if (qr) {
+                    // WhatsApp rotates the QR code about every 20 seconds, each one is pushed to the live streams
                     logger.info(`Generating QR code for instance ${instanceId}`);
                     try {
                         const url = await qrcode.toDataURL(qr);
@@ -86,6 +124,8 @@ export const initializeSock = async (instanceId) => {
                             status: 'disconnected',
                             lastUpdate: new Date()
                         };
+
+                        getLinkEmitter(instanceId).emit('qr', { qrCode: url });
                         
                         if (!hasResolved) {
                             resolve({ qrCode: url });
@@ -93,10 +133,15 @@ export const initializeSock = async (instanceId) => {
                         }
                     } catch (err) {
                         logger.error('Error generating QR code URL:', { error: err.message, stack: err.stack });
-                        reject(err);
+                        if (!hasResolved) reject(err);
                     }
                 }
 
+                // The phone scanned the QR code or entered the pairing code, WhatsApp restarts the connection next
+                if (update.isNewLogin) {
+                    getLinkEmitter(instanceId).emit('scanned', {});
+                }
+
                 if (connection === 'open') {
                     logger.info(`Connection opened for instance ${instanceId}`);
                     clearTimeout(timeout);
@@ -107,6 +152,12 @@ export const initializeSock = async (instanceId) => {
                         lastUpdate: new Date()
                     };
 
+                    emitInstanceEvent(instanceId, 'connection.update', { status: 'connected' });
+                    getLinkEmitter(instanceId).emit('connected', {});
+                    recordConnectionEvent(instanceId, HEALTH_EVENT.CONNECTED);
+                    // Apply the receipts replayed for messages sent before the reconnect
+                    scheduleReconnectReconciliation(instanceId);
+
                     // Save the auth state immediately when connected
                     await saveCreds();
 
@@ -135,6 +186,15 @@ export const initializeSock = async (instanceId) => {
                         shouldReconnect,
                         instanceId 
                     });
+
+                    emitInstanceEvent(instanceId, 'connection.update', {
+                        status: shouldReconnect ? 'reconnecting' : 'disconnected',
+                        statusCode
+                    });
+                    recordConnectionEvent(instanceId, shouldReconnect ? HEALTH_EVENT.RECONNECTING : HEALTH_EVENT.DISCONNECTED, {
+                        statusCode,
+                        error: lastDisconnect?.error?.message || null
+                    });
                     
                     if (shouldReconnect) {
                         instances[instanceId] = {
@@ -169,6 +229,7 @@ export const initializeSock = async (instanceId) => {
                             status: 'disconnected',
                             lastUpdate: new Date()
                         };
+                        getLinkEmitter(instanceId).emit('disconnected', { statusCode });
                         if (!hasResolved) {
                             reject(new Error('Connection closed'));
                         }
@@ -199,6 +260,83 @@ export const initializeSock = async (instanceId) => {
     }
 };
 
+// Function to close an instance that is not connected and remove its auth files, so it can be linked again
+const cleanupInstance = async (instanceId) => {
+    const existingInstance = instances[instanceId];
+    logger.info(`Cleaning up existing instance ${instanceId} (Status: ${existingInstance?.status || 'unknown'})`);
+    try {
+        // Ensure proper socket cleanup
+        if (existingInstance?.sock) {
+            try {
+                await existingInstance.sock.logout().catch(e => logger.error('Logout error:', { error: e.message, stack: e.stack }));
+                await existingInstance.sock.end().catch(e => logger.error('End error:', { error: e.message, stack: e.stack }));
+            } catch (socketError) {
+                logger.error('Socket cleanup error:', { error: socketError.message, stack: socketError.stack });
+            }
+        }
+
+        // Remove instance from memory
+        delete instances[instanceId];
+        
+        // Clean up auth state
+        try {
+            await removeInstanceAuthState(instanceId);
+        } catch (authError) {
+            logger.error('Auth state cleanup error:', { error: authError.message, stack: authError.stack });
+        }
+        
+        // Wait for cleanup to complete
+        await new Promise(resolve => setTimeout(resolve, 5000));
+        logger.info('Cleanup completed successfully');
+    } catch (cleanupError) {
+        logger.error('Cleanup operation failed:', { error: cleanupError.message, stack: cleanupError.stack });
+        // Continue with new instance creation even if cleanup fails
+    }
+};
+
+// Function to initialize a new connection with retry logic, resolves with the result of initializeSock
+const initializeSockWithRetry = async (instanceId, options = {}) => {
+    let retryCount = 0;
+    const maxRetries = 3;
+    let lastError = null;
+
+    while (retryCount < maxRetries) {
+        try {
+            logger.info(`Attempt ${retryCount + 1} to initialize WhatsApp connection`);
+            
+            // Double check that instance is cleaned up before proceeding
+            if (instances[instanceId]) {
+                logger.info('Found lingering instance, cleaning up again...');
+                await cleanupInstance(instanceId);
+            }
+
+            const result = await initializeSock(instanceId, options);
+            
+            if (result.connected || result.qrCode || result.pairingCode) {
+                return result;
+            }
+
+            throw new Error('Failed to link the device or establish connection');
+        } catch (error) {
+            logger.error(`Attempt ${retryCount + 1} failed:`, { error: error.message, stack: error.stack });
+            lastError = error;
+            retryCount++;
+
+            // Close the socket of the failed attempt, so its listeners and any pairing request in flight go with it
+            await cleanupInstance(instanceId);
+            
+            if (retryCount < maxRetries) {
+                const waitTime = 3000 * (retryCount + 1); // Exponential backoff
+                logger.info(`Waiting ${waitTime}ms before retry ${retryCount + 1}...`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+           }
+        }
+    }
+
+    const errorMessage = lastError ? lastError.message : 'Unknown error';
+    throw new Error(`Failed after ${maxRetries} attempts: ${errorMessage}`);
+};
+
 // Generate QR code endpoint handler
 export const generateQRCode = async (req, res) => {
     try {
@@ -215,95 +353,147 @@ export const generateQRCode = async (req, res) => {
 
         // Perform cleanup if there's an existing instance (regardless of status)
         if (existingInstance) {
-            logger.info(`Cleaning up existing instance ${instanceId} (Status: ${existingInstance.status || 'unknown'})`);
-            try {
-                // Ensure proper socket cleanup
-                if (existingInstance.sock) {
-                    try {
-                        await existingInstance.sock.logout().catch(e => logger.error('Logout error:', { error: e.message, stack: e.stack }));
-                        await existingInstance.sock.end().catch(e => logger.error('End error:', { error: e.message, stack: e.stack }));
-                    } catch (socketError) {
-                        logger.error('Socket cleanup error:', { error: socketError.message, stack: socketError.stack });
-                    }
-                }
+            await cleanupInstance(instanceId);
+        }
 
-                // Remove instance from memory
-                delete instances[instanceId];
-                
-                // Clean up auth files
-                const authFolder = path.join(process.cwd(), 'users', `instance_${instanceId}`);
-                if (fs.existsSync(authFolder)) {
-                    try {
-                        fs.rmSync(authFolder, { recursive: true, force: true });
-                        logger.info(`Auth folder cleaned up: ${authFolder}`);
-                    } catch (fsError) {
-                        logger.error('Auth folder cleanup error:', { error: fsError.message, stack: fsError.stack });
-                    }
-                }
-                
-                // Wait for cleanup to complete
-                await new Promise(resolve => setTimeout(resolve, 5000));
-                logger.info('Cleanup completed successfully');
-            } catch (cleanupError) {
-                logger.error('Cleanup operation failed:', { error: cleanupError.message, stack: cleanupError.stack });
-                // Continue with new instance creation even if cleanup fails
-            }
+        const result = await initializeSockWithRetry(instanceId);
+
+        if (result.connected) {
+            return res.json({ isAuthenticated: true });
         }
 
-        // Initialize new connection with retry logic
-        let retryCount = 0;
-        const maxRetries = 3;
-        let lastError = null;
+        res.json({ qrCode: result.qrCode });
+    } catch (error) {
+        logger.error('Error in generateQRCode:', { error: error.message, stack: error.stack });
+        res.status(500).json({ 
+            error: error.message,
+            status: 'error',
+            message: 'Failed to generate QR code, please try again'
+        });
+    }
+};
 
-        while (retryCount < maxRetries) {
-            try {
-                logger.info(`Attempt ${retryCount + 1} to initialize WhatsApp connection`);
-                
-                // Double check that instance is cleaned up before proceeding
-                if (instances[instanceId]) {
-                    logger.info('Found lingering instance, cleaning up again...');
-                    delete instances[instanceId];
-                }
+// Generate a pairing code to link the phone by number instead of scanning a QR code
+export const generatePairingCode = async (req, res) => {
+    try {
+        const instanceId = req.params.id;
+        // WhatsApp expects the number in international format with digits only
+        const phoneNumber = String(req.body.phoneNumber || '').replace(/\D/g, '');
 
-                const result = await initializeSock(instanceId);
-                
-                if (result.connected) {
-                    return res.json({ isAuthenticated: true });
-                }
+        if (!/^\d{8,15}$/.test(phoneNumber)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'phoneNumber must be the full international number, e.g. 919876543210'
+            });
+        }
 
-                if (result.qrCode) {
-                    return res.json({ qrCode: result.qrCode });
-                }
+        logger.info(`Generating pairing code for instance ${instanceId}`);
 
-                throw new Error('Failed to generate QR code or establish connection');
-            } catch (error) {
-                logger.error(`Attempt ${retryCount + 1} failed:`, { error: error.message, stack: error.stack });
-                lastError = error;
-                retryCount++;
-                
-                if (retryCount < maxRetries) {
-                    const waitTime = 3000 * (retryCount + 1); // Exponential backoff
-                    logger.info(`Waiting ${waitTime}ms before retry ${retryCount + 1}...`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
-               }
-            }
+        const existingInstance = instances[instanceId];
+
+        if (existingInstance && existingInstance.status === 'connected') {
+            return res.json({ isAuthenticated: true });
         }
 
-        // Handle error if QR code generation fails after max retries
-        if (!result.qrCode) {
-            const errorMessage = lastError ? lastError.message : 'Unknown error';
-            throw new Error(`Failed to generate QR code after ${maxRetries} attempts: ${errorMessage}`);
+        // A QR or pairing session in progress is started over for the new number
+        if (existingInstance) {
+            await cleanupInstance(instanceId);
         }
+
+        const result = await initializeSockWithRetry(instanceId, { pairingPhoneNumber: phoneNumber });
+
+        if (result.connected) {
+            return res.json({ isAuthenticated: true });
+        }
+
+        res.json({ pairingCode: result.pairingCode });
     } catch (error) {
-        logger.error('Error in generateQRCode:', { error: error.message, stack: error.stack });
-        res.status(500).json({ 
+        logger.error('Error in generatePairingCode:', { error: error.message, stack: error.stack });
+        res.status(500).json({
             error: error.message,
             status: 'error',
-            message: 'Failed to generate QR code, please try again'
+            message: 'Failed to generate pairing code, please try again'
         });
     }
 };
 
+// Stream the linking of an instance over SSE: every rotated QR code, the scan and the final connection,
+// without restarting a session that is already showing a QR code
+export const streamQRCode = async (req, res) => {
+    const instanceId = req.params.id;
+    const emitter = getLinkEmitter(instanceId);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const existingInstance = instances[instanceId];
+    if (existingInstance && existingInstance.status === 'connected') {
+        sendEvent('connected', {});
+        return res.end();
+    }
+
+    let closed = false;
+    const onQR = (data) => sendEvent('qr', data);
+    const onScanned = (data) => sendEvent('scanned', data);
+    const onEnd = (event) => (data) => {
+        sendEvent(event, data);
+        cleanup();
+        res.end();
+    };
+    const onConnected = onEnd('connected');
+    const onDisconnected = onEnd('disconnected');
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    const cleanup = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        emitter.off('qr', onQR);
+        emitter.off('scanned', onScanned);
+        emitter.off('connected', onConnected);
+        emitter.off('disconnected', onDisconnected);
+    };
+
+    emitter.on('qr', onQR);
+    emitter.on('scanned', onScanned);
+    emitter.once('connected', onConnected);
+    emitter.once('disconnected', onDisconnected);
+    req.on('close', cleanup);
+
+    // A session showing a QR code or reconnecting after the scan is followed as it is
+    if (existingInstance?.qrCode || existingInstance?.status === 'reconnecting') {
+        if (existingInstance.qrCode) sendEvent('qr', { qrCode: existingInstance.qrCode });
+        return;
+    }
+
+    try {
+        logger.info(`Streaming QR codes for instance ${instanceId}`);
+
+        if (existingInstance) {
+            await cleanupInstance(instanceId);
+        }
+
+        // The first QR code reaches the stream through the emitter
+        const result = await initializeSockWithRetry(instanceId);
+        if (result.connected && !closed) {
+            onConnected({});
+        }
+    } catch (error) {
+        logger.error('Error in streamQRCode:', { error: error.message, stack: error.stack });
+        if (!closed) {
+            onEnd('error')({ message: 'Failed to generate QR code, please try again' });
+        }
+    }
+};
+
 // Get connection status endpoint handler
 export const getConnectionStatus = async (req, res) => {
     try {
@@ -366,11 +556,8 @@ export const resetInstance = async (req, res) => {
             delete instances[instanceId];
         }
 
-        // Delete auth files
-        const authFolder = path.join(process.cwd(), 'users', `instance_${instanceId}`);
-        if (fs.existsSync(authFolder)) {
-            fs.rmSync(authFolder, { recursive: true, force: true });
-        }
+        // Delete auth state
+        await removeInstanceAuthState(instanceId);
 
         res.json({ success: true, message: 'Instance reset successfully' });
     } catch (error) {
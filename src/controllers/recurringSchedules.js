@@ -0,0 +1,450 @@
+// src/controllers/recurringSchedules.js
+
+import fs from 'fs';
+import cron from 'node-cron';
+import cronParser from 'cron-parser';
+import rrulePkg from 'rrule';
+import connectDB, { addColumnIfMissing } from '../db/index.js';
+import { logger } from '../logger.js';
+import { logMediaMessageToDB } from './messages.js';
+import { resolveUploadedMedia } from './fileUpload.js';
+import { getDefaultTimeZone, fromZonedWallClock, isValidTimeZone, toZonedWallClock } from './timezones.js';
+
+const { RRule } = rrulePkg;
+
+// Columns that can be changed through PATCH
+const EDITABLE_FIELDS = ['name', 'recipients', 'message', 'media', 'caption', 'cron_expression', 'rrule', 'timezone', 'start_at', 'end_date', 'max_occurrences'];
+
+// Helper function to make sure the recurring_schedules table exists
+const checkRecurringSchedulesTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM recurring_schedules LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating recurring_schedules table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS recurring_schedules (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    name VARCHAR(255) NOT NULL,
+                    recipients LONGTEXT NOT NULL,
+                    message TEXT NULL,
+                    media VARCHAR(512) NULL,
+                    caption TEXT NULL,
+                    cron_expression VARCHAR(255) NULL,
+                    rrule TEXT NULL,
+                    timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata',
+                    start_at DATETIME NOT NULL,
+                    end_date DATETIME NULL,
+                    max_occurrences INT NULL,
+                    occurrence_count INT NOT NULL DEFAULT 0,
+                    next_run_at DATETIME NULL,
+                    last_run_at DATETIME NULL,
+                    status ENUM('active', 'paused', 'completed') NOT NULL DEFAULT 'active',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_instance_id (instance_id),
+                    INDEX idx_status_next_run (status, next_run_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('recurring_schedules table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize recurring_schedules table and tag media_messages rows with their schedule
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkRecurringSchedulesTable(pool);
+        await addColumnIfMissing(pool, 'media_messages', 'recurring_schedule_id', 'INT NULL, ADD INDEX idx_recurring_schedule_id (recurring_schedule_id)');
+        logger.info('recurring_schedules table check completed');
+    } catch (error) {
+        logger.error('Error initializing recurring_schedules table:', error);
+    }
+})();
+
+// Function to get the first occurrence strictly after `after`, or null when the schedule is over
+export const getNextOccurrence = (schedule, after = new Date()) => {
+    const timeZone = schedule.timezone || getDefaultTimeZone();
+    const startAt = new Date(schedule.start_at);
+    // Occurrences never happen before the start date
+    const from = after < startAt ? new Date(startAt.getTime() - 1000) : after;
+    let next = null;
+
+    if (schedule.cron_expression) {
+        const interval = cronParser.parseExpression(schedule.cron_expression, { currentDate: from, tz: timeZone });
+        next = interval.next().toDate();
+    } else if (schedule.rrule) {
+        // rrule works on wall-clock times, so convert in and out of the schedule's timezone
+        const options = RRule.parseString(schedule.rrule.replace(/^RRULE:/i, ''));
+        const rule = new RRule({ ...options, dtstart: toZonedWallClock(startAt, timeZone) });
+        const wallClockNext = rule.after(toZonedWallClock(from, timeZone), false);
+        next = wallClockNext ? fromZonedWallClock(wallClockNext, timeZone) : null;
+    }
+
+    if (!next) return null;
+    if (schedule.end_date && next > new Date(schedule.end_date)) return null;
+    if (schedule.max_occurrences && schedule.occurrence_count >= schedule.max_occurrences) return null;
+
+    return next;
+};
+
+// Function to validate a schedule definition of an instance, returns an error message or null
+const validateSchedule = (schedule, instanceId) => {
+    if (!schedule.cron_expression === !schedule.rrule) {
+        return 'Exactly one of cron or rrule is required';
+    }
+    if (!isValidTimeZone(schedule.timezone)) {
+        return `Unknown timezone: ${schedule.timezone}`;
+    }
+    if (!Array.isArray(schedule.recipients) || schedule.recipients.length === 0) {
+        return 'recipients must be a non-empty array';
+    }
+    if (!schedule.message && !schedule.media) {
+        return 'A message or a media file is required';
+    }
+    // Every occurrence reads the file and sends it, so only files uploaded for this instance are accepted
+    if (schedule.media && resolveUploadedMedia(instanceId, schedule.media) !== schedule.media) {
+        return 'filePath must be a file uploaded for this instance';
+    }
+    if (schedule.media && !fs.existsSync(schedule.media)) {
+        return 'File not found';
+    }
+    if (isNaN(new Date(schedule.start_at).getTime())) {
+        return 'Invalid startAt';
+    }
+    if (schedule.end_date && isNaN(new Date(schedule.end_date).getTime())) {
+        return 'Invalid endDate';
+    }
+
+    try {
+        getNextOccurrence(schedule);
+    } catch (error) {
+        return `Invalid ${schedule.cron_expression ? 'cron expression' : 'rrule'}: ${error.message}`;
+    }
+    return null;
+};
+
+// Function to map a request body onto schedule columns
+const fromRequestBody = (body) => {
+    const fields = {};
+    if (body.name !== undefined) fields.name = body.name;
+    if (body.recipients !== undefined) fields.recipients = body.recipients;
+    if (body.message !== undefined) fields.message = body.message || null;
+    if (body.filePath !== undefined) fields.media = body.filePath || null;
+    if (body.caption !== undefined) fields.caption = body.caption || null;
+    if (body.cron !== undefined) fields.cron_expression = body.cron || null;
+    if (body.rrule !== undefined) fields.rrule = body.rrule || null;
+    if (body.timezone !== undefined) fields.timezone = body.timezone;
+    if (body.startAt !== undefined) fields.start_at = new Date(body.startAt);
+    if (body.endDate !== undefined) fields.end_date = body.endDate ? new Date(body.endDate) : null;
+    if (body.maxOccurrences !== undefined) fields.max_occurrences = body.maxOccurrences ? parseInt(body.maxOccurrences) : null;
+    return fields;
+};
+
+// Function to shape a row for API responses
+const formatSchedule = (row) => ({
+    ...row,
+    recipients: JSON.parse(row.recipients)
+});
+
+// Function to load a schedule that belongs to an instance
+const getSchedule = async (instanceId, scheduleId) => {
+    const pool = await connectDB();
+    const [rows] = await pool.query(
+        'SELECT * FROM recurring_schedules WHERE id = ? AND instance_id = ?',
+        [scheduleId, instanceId]
+    );
+    return rows[0] ? formatSchedule(rows[0]) : null;
+};
+
+// Function to queue one occurrence as pending media_messages rows for the message scheduler,
+// on the connection holding the transaction that claimed it
+const createOccurrence = async (schedule, connection) => {
+    const recipients = JSON.parse(schedule.recipients);
+
+    const ids = await logMediaMessageToDB(
+        schedule.instance_id,
+        recipients,
+        schedule.message,
+        schedule.media,
+        schedule.caption,
+        new Date(),
+        'pending',
+        null,
+        { recurringScheduleId: schedule.id, connection }
+    );
+
+    logger.info('Recurring schedule occurrence queued:', {
+        scheduleId: schedule.id,
+        occurrence: schedule.occurrence_count + 1,
+        recipients: recipients.length
+    });
+
+    return ids;
+};
+
+// Initialize the recurring schedule ticker
+export const initializeRecurringScheduler = () => {
+    logger.info('Initializing recurring scheduler...');
+
+    let isRunning = false;
+    const ticker = cron.schedule('*/30 * * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            const pool = await connectDB();
+            const [dueSchedules] = await pool.query(
+                "SELECT * FROM recurring_schedules WHERE status = 'active' AND next_run_at <= NOW() ORDER BY next_run_at ASC LIMIT 50"
+            );
+
+            for (const schedule of dueSchedules) {
+                // The claim and the queued rows commit together, an occurrence that fails to queue is retried
+                const connection = await pool.getConnection();
+                try {
+                    const afterThis = { ...schedule, occurrence_count: schedule.occurrence_count + 1 };
+                    const nextRunAt = getNextOccurrence(afterThis, new Date());
+
+                    await connection.beginTransaction();
+
+                    // Claim the occurrence, the next_run_at check keeps other processes from firing it again
+                    const [claim] = await connection.query(
+                        `UPDATE recurring_schedules
+                         SET occurrence_count = occurrence_count + 1, last_run_at = NOW(), next_run_at = ?, status = ?
+                         WHERE id = ? AND status = 'active' AND next_run_at = ?`,
+                        [nextRunAt, nextRunAt ? 'active' : 'completed', schedule.id, schedule.next_run_at]
+                    );
+                    if (claim.affectedRows === 0) {
+                        await connection.rollback();
+                        continue;
+                    }
+
+                    await createOccurrence(schedule, connection);
+                    await connection.commit();
+                } catch (error) {
+                    await connection.rollback().catch(() => {});
+                    logger.error('Error running recurring schedule:', { scheduleId: schedule.id, error: error.message, stack: error.stack });
+                } finally {
+                    connection.release();
+                }
+            }
+        } catch (error) {
+            logger.error('Error in recurring scheduler:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    ticker.start();
+    logger.info('Recurring scheduler initialized');
+};
+
+// Create a recurring schedule
+export const createRecurringSchedule = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const schedule = {
+            timezone: getDefaultTimeZone(),
+            // DATETIME columns have second precision
+            start_at: new Date(Math.floor(Date.now() / 1000) * 1000),
+            occurrence_count: 0,
+            ...fromRequestBody(req.body)
+        };
+
+        if (!schedule.name) {
+            return res.status(400).json({ success: false, message: 'name is required' });
+        }
+
+        const validationError = validateSchedule(schedule, instanceId);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const nextRunAt = getNextOccurrence(schedule);
+        if (!nextRunAt) {
+            return res.status(400).json({ success: false, message: 'The schedule has no occurrence in the future' });
+        }
+
+        const pool = await connectDB();
+        await checkRecurringSchedulesTable(pool);
+
+        const [result] = await pool.query(
+            `INSERT INTO recurring_schedules
+                (instance_id, name, recipients, message, media, caption, cron_expression, rrule, timezone, start_at, end_date, max_occurrences, next_run_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                instanceId,
+                schedule.name,
+                JSON.stringify(schedule.recipients.map(recipient => String(recipient).replace(/[+\s-]/g, ''))),
+                schedule.message || null,
+                schedule.media || null,
+                schedule.caption || null,
+                schedule.cron_expression || null,
+                schedule.rrule || null,
+                schedule.timezone,
+                schedule.start_at,
+                schedule.end_date || null,
+                schedule.max_occurrences || null,
+                nextRunAt
+            ]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Recurring schedule created successfully',
+            schedule: await getSchedule(instanceId, result.insertId)
+        });
+    } catch (error) {
+        logger.error('Error in createRecurringSchedule:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to create recurring schedule' });
+    }
+};
+
+// List the recurring schedules of an instance
+export const listRecurringSchedules = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const pool = await connectDB();
+        await checkRecurringSchedulesTable(pool);
+
+        const [rows] = await pool.query(
+            'SELECT * FROM recurring_schedules WHERE instance_id = ? ORDER BY id DESC',
+            [instanceId]
+        );
+
+        res.json({ success: true, schedules: rows.map(formatSchedule) });
+    } catch (error) {
+        logger.error('Error in listRecurringSchedules:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch recurring schedules' });
+    }
+};
+
+// Get a recurring schedule with the status of the messages it created
+export const getRecurringSchedule = async (req, res) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const schedule = await getSchedule(instanceId, scheduleId);
+
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Recurring schedule not found' });
+        }
+
+        const pool = await connectDB();
+        const [statusRows] = await pool.query(
+            'SELECT message_status, COUNT(*) AS count FROM media_messages WHERE recurring_schedule_id = ? GROUP BY message_status',
+            [schedule.id]
+        );
+
+        const messageStatus = {};
+        statusRows.forEach(row => { messageStatus[row.message_status] = row.count; });
+
+        res.json({ success: true, schedule, messageStatus });
+    } catch (error) {
+        logger.error('Error in getRecurringSchedule:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch recurring schedule' });
+    }
+};
+
+// Edit a recurring schedule, the next run is recomputed
+export const updateRecurringSchedule = async (req, res) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const existing = await getSchedule(instanceId, scheduleId);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Recurring schedule not found' });
+        }
+
+        const changes = fromRequestBody(req.body);
+        // Switching between cron and rrule clears the other one
+        if (changes.cron_expression) changes.rrule = null;
+        if (changes.rrule) changes.cron_expression = null;
+
+        const schedule = { ...existing, ...changes };
+        const validationError = validateSchedule(schedule, instanceId);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const nextRunAt = getNextOccurrence(schedule);
+        const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+        const values = fields.map(field => (field === 'recipients'
+            ? JSON.stringify(changes.recipients.map(recipient => String(recipient).replace(/[+\s-]/g, '')))
+            : changes[field]));
+
+        // An edited schedule that still has occurrences left becomes active again unless it is paused
+        const status = existing.status === 'paused' ? 'paused' : (nextRunAt ? 'active' : 'completed');
+
+        const pool = await connectDB();
+        await pool.query(
+            `UPDATE recurring_schedules
+             SET ${fields.map(field => `${field} = ?`).concat(['next_run_at = ?', 'status = ?']).join(', ')}
+             WHERE id = ?`,
+            [...values, nextRunAt, status, existing.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Recurring schedule updated successfully',
+            schedule: await getSchedule(instanceId, scheduleId)
+        });
+    } catch (error) {
+        logger.error('Error in updateRecurringSchedule:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to update recurring schedule' });
+    }
+};
+
+// Pause an active recurring schedule
+export const pauseRecurringSchedule = async (req, res) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const pool = await connectDB();
+
+        const [result] = await pool.query(
+            "UPDATE recurring_schedules SET status = 'paused' WHERE id = ? AND instance_id = ? AND status = 'active'",
+            [scheduleId, instanceId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'Only active schedules can be paused' });
+        }
+
+        res.json({ success: true, message: 'Recurring schedule paused', schedule: await getSchedule(instanceId, scheduleId) });
+    } catch (error) {
+        logger.error('Error in pauseRecurringSchedule:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to pause recurring schedule' });
+    }
+};
+
+// Resume a paused recurring schedule from the next occurrence after now
+export const resumeRecurringSchedule = async (req, res) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const schedule = await getSchedule(instanceId, scheduleId);
+
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Recurring schedule not found' });
+        }
+        if (schedule.status !== 'paused') {
+            return res.status(409).json({ success: false, message: 'Only paused schedules can be resumed' });
+        }
+
+        // Occurrences missed while paused are skipped
+        const nextRunAt = getNextOccurrence(schedule);
+        const pool = await connectDB();
+        await pool.query(
+            'UPDATE recurring_schedules SET status = ?, next_run_at = ? WHERE id = ?',
+            [nextRunAt ? 'active' : 'completed', nextRunAt, schedule.id]
+        );
+
+        res.json({ success: true, message: 'Recurring schedule resumed', schedule: await getSchedule(instanceId, scheduleId) });
+    } catch (error) {
+        logger.error('Error in resumeRecurringSchedule:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to resume recurring schedule' });
+    }
+};
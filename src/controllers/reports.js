@@ -0,0 +1,344 @@
+// src/controllers/reports.js
+
+import { once } from 'events';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import ExcelJS from 'exceljs';
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+
+// Values of `media_messages.message_status` that can be filtered on
+export const REPORT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'failed', 'unknown', 'cancelled'];
+
+const DEFAULT_DAILY_RANGE_DAYS = 30;
+const MAX_PAGE_SIZE = 500;
+
+// Function to format a report time as YYYY-MM-DD HH:mm:ss in server time, empty when not set
+const formatReportTime = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Function to build the WHERE clause shared by the reports from the query string.
+// Supports from / to (YYYY-MM-DD, inclusive), status (comma separated), recipient (partial number) and campaignId.
+// Without an instanceId the messages of every instance match, e.g. for a campaign sent from several
+export const buildReportFilters = (instanceId, query) => {
+    const conditions = instanceId ? ['m.instance_id = ?'] : [];
+    const params = instanceId ? [instanceId] : [];
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+    if (query.from) {
+        if (!isDate(query.from)) return { error: 'from must be a date as YYYY-MM-DD' };
+        conditions.push('m.created_at >= ?');
+        params.push(query.from);
+    }
+    if (query.to) {
+        if (!isDate(query.to)) return { error: 'to must be a date as YYYY-MM-DD' };
+        conditions.push('m.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(query.to);
+    }
+    if (query.from && query.to && query.from > query.to) {
+        return { error: 'from cannot be after to' };
+    }
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(status => status.trim().toLowerCase());
+        const unknown = statuses.filter(status => !REPORT_STATUSES.includes(status));
+        if (unknown.length > 0) {
+            return { error: `Unknown status: ${unknown.join(', ')}. Allowed: ${REPORT_STATUSES.join(', ')}` };
+        }
+        conditions.push('m.message_status IN (?)');
+        params.push(statuses);
+    }
+
+    if (query.recipient) {
+        const digits = String(query.recipient).replace(/\D/g, '');
+        if (!digits) return { error: 'recipient must contain digits' };
+        conditions.push('m.recipient LIKE ?');
+        params.push(`%${digits}%`);
+    }
+
+    if (query.campaignId) {
+        const campaignId = parseInt(query.campaignId);
+        if (!campaignId) return { error: 'campaignId must be a number' };
+        conditions.push('m.campaign_id = ?');
+        params.push(campaignId);
+    }
+
+    return { where: conditions.join(' AND ') || '1 = 1', params };
+};
+
+// Get the messages of an instance with their sent / delivered / read / failed times, filtered and paginated
+export const getMessageReports = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+        const filters = buildReportFilters(instanceId, req.query);
+        if (filters.error) {
+            return res.status(400).json({ success: false, message: filters.error });
+        }
+
+        const pool = await connectDB();
+
+        const [rows] = await pool.query(
+            `SELECT m.id, m.recipient, m.message, m.media, m.caption, m.message_status, m.campaign_id,
+                    m.whatsapp_message_id, m.schedule_time, m.created_at,
+                    r.initiated_time, r.sent_time, r.delivered_time, r.read_time, r.failed_time
+             FROM media_messages m
+             LEFT JOIN report_time r ON r.whatsapp_message_id = m.whatsapp_message_id
+             WHERE ${filters.where}
+             ORDER BY m.created_at DESC, m.id DESC
+             LIMIT ? OFFSET ?`,
+            [...filters.params, limit, (page - 1) * limit]
+        );
+
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM media_messages m WHERE ${filters.where}`,
+            filters.params
+        );
+
+        res.json({
+            success: true,
+            messages: rows.map(row => ({
+                id: row.id,
+                recipient: row.recipient,
+                message: row.message,
+                media: row.media,
+                caption: row.caption,
+                status: row.message_status,
+                campaignId: row.campaign_id,
+                whatsappMessageId: row.whatsapp_message_id,
+                scheduleTime: row.schedule_time,
+                createdAt: row.created_at,
+                initiatedAt: row.initiated_time,
+                sentAt: row.sent_time,
+                deliveredAt: row.delivered_time,
+                readAt: row.read_time,
+                failedAt: row.failed_time
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getMessageReports:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch message reports' });
+    }
+};
+
+// Get the number of messages of an instance in each status, with the same filters as the reports
+export const getMessageStatusSummary = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        const filters = buildReportFilters(instanceId, req.query);
+        if (filters.error) {
+            return res.status(400).json({ success: false, message: filters.error });
+        }
+
+        const pool = await connectDB();
+        const [rows] = await pool.query(
+            `SELECT m.message_status, COUNT(*) AS count
+             FROM media_messages m
+             WHERE ${filters.where}
+             GROUP BY m.message_status`,
+            filters.params
+        );
+
+        const summary = Object.fromEntries(REPORT_STATUSES.map(status => [status, 0]));
+        rows.forEach(row => { summary[row.message_status] = row.count; });
+
+        const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+        // Read messages were delivered too, and delivered ones were sent
+        const delivered = summary.delivered + summary.read;
+        const sent = summary.sent + delivered;
+        const percentOf = (count, of) => (of > 0 ? Math.round((count / of) * 10000) / 100 : null);
+
+        res.json({
+            success: true,
+            total,
+            summary,
+            rates: {
+                deliveryRate: percentOf(delivered, sent),
+                readRate: percentOf(summary.read, delivered),
+                failureRate: percentOf(summary.failed, sent + summary.failed)
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getMessageStatusSummary:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch message status summary' });
+    }
+};
+
+// Get the number of messages of an instance per day and status, the last 30 days unless from / to are given
+export const getDailyMessageCount = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const query = { ...req.query };
+        if (!query.from && !query.to) {
+            const from = new Date(Date.now() - (DEFAULT_DAILY_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000);
+            query.from = formatReportTime(from).slice(0, 10);
+        }
+
+        const filters = buildReportFilters(instanceId, query);
+        if (filters.error) {
+            return res.status(400).json({ success: false, message: filters.error });
+        }
+
+        const pool = await connectDB();
+        const [rows] = await pool.query(
+            `SELECT DATE_FORMAT(m.created_at, '%Y-%m-%d') AS day, m.message_status, COUNT(*) AS count
+             FROM media_messages m
+             WHERE ${filters.where}
+             GROUP BY day, m.message_status
+             ORDER BY day ASC`,
+            filters.params
+        );
+
+        const days = new Map();
+        rows.forEach(row => {
+            if (!days.has(row.day)) {
+                days.set(row.day, { date: row.day, total: 0, ...Object.fromEntries(REPORT_STATUSES.map(status => [status, 0])) });
+            }
+            const day = days.get(row.day);
+            day[row.message_status] = row.count;
+            day.total += row.count;
+        });
+
+        res.json({
+            success: true,
+            from: query.from || null,
+            to: query.to || null,
+            days: [...days.values()]
+        });
+    } catch (error) {
+        logger.error('Error in getDailyMessageCount:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch daily message count' });
+    }
+};
+
+// Columns of the exported spreadsheet
+const EXPORT_COLUMNS = [
+    ['Recipient', row => row.recipient],
+    ['Message', row => row.message || ''],
+    ['Media', row => (row.media ? path.basename(row.media) : '')],
+    ['Status', row => row.message_status],
+    ['Created At', row => formatReportTime(row.created_at)],
+    ['Sent At', row => formatReportTime(row.sent_time)],
+    ['Delivered At', row => formatReportTime(row.delivered_time)],
+    ['Read At', row => formatReportTime(row.read_time)],
+    ['Failed At', row => formatReportTime(row.failed_time)]
+];
+
+// Function to turn a row into the values of the export columns
+const toExportValues = (row) => EXPORT_COLUMNS.map(([, getValue]) => getValue(row));
+
+// Function to quote a CSV value, and keep spreadsheet apps from running text that looks like a formula
+const escapeCsvValue = (value) => {
+    let text = String(value ?? '');
+    if (/^[=@\t\r]/.test(text) || /^[+-](?!\d+$)/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Export the messages of an instance with their delivery times as CSV or XLSX, with the same filters as the reports.
+// Rows are streamed from MySQL into the response, so exports of any size never sit in memory
+export const exportMessageReports = async (req, res) => {
+    let connection;
+
+    try {
+        const { instanceId } = req.params;
+        const format = (req.query.format || 'csv').toLowerCase();
+
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'format must be csv or xlsx' });
+        }
+
+        const filters = buildReportFilters(instanceId, req.query);
+        if (filters.error) {
+            return res.status(400).json({ success: false, message: filters.error });
+        }
+
+        const pool = await connectDB();
+
+        // A dedicated connection, the streaming query holds it until the last row
+        connection = await pool.getConnection();
+        const rowStream = connection.connection.query(
+            `SELECT m.recipient, m.message, m.media, m.message_status, m.created_at,
+                    r.sent_time, r.delivered_time, r.read_time, r.failed_time
+             FROM media_messages m
+             LEFT JOIN report_time r ON r.whatsapp_message_id = m.whatsapp_message_id
+             WHERE ${filters.where}
+             ORDER BY m.created_at ASC, m.id ASC`,
+            filters.params
+        ).stream({ highWaterMark: 500 });
+
+        const fileName = `message-report-${instanceId}-${formatReportTime(new Date()).slice(0, 10)}.${format}`;
+        const headers = EXPORT_COLUMNS.map(([header]) => header);
+
+        if (format === 'csv') {
+            res.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${fileName}"`
+            });
+
+            // The byte order mark makes Excel open the file as UTF-8
+            res.write(`\uFEFF${headers.map(escapeCsvValue).join(',')}\r\n`);
+
+            await pipeline(
+                rowStream,
+                new Transform({
+                    writableObjectMode: true,
+                    transform(row, encoding, callback) {
+                        callback(null, `${toExportValues(row).map(escapeCsvValue).join(',')}\r\n`);
+                    }
+                }),
+                res
+            );
+        } else {
+            res.writeHead(200, {
+                'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                'Content-Disposition': `attachment; filename="${fileName}"`
+            });
+
+            // Committed rows are zipped straight into the response, shared strings would keep every text in memory
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+            const worksheet = workbook.addWorksheet('Messages');
+            worksheet.addRow(headers).commit();
+
+            for await (const row of rowStream) {
+                worksheet.addRow(toExportValues(row)).commit();
+                // Stop reading rows while the client catches up, and give up if it goes away
+                if (res.writableNeedDrain) {
+                    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+                    if (res.destroyed) throw new Error('Client closed the export');
+                }
+            }
+
+            worksheet.commit();
+            await workbook.commit();
+        }
+
+        connection.release();
+        connection = null;
+    } catch (error) {
+        logger.error('Error in exportMessageReports:', { error: error.message, stack: error.stack });
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Failed to export message reports' });
+        } else {
+            res.destroy();
+        }
+    } finally {
+        // An export stopped halfway, e.g. by the client going away, leaves the connection mid-query
+        if (connection) connection.destroy();
+    }
+};
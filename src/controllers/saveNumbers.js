@@ -1,9 +1,20 @@
 // src/controllers/saveNumbers.js
 
-import connectDB from '../db/index.js';
+import connectDB, { addColumnIfMissing } from '../db/index.js';
 import csv from 'csv-parser';
 import { Readable } from 'stream';
 import xlsx from 'xlsx';
+import { isValidTimeZone } from './timezones.js';
+
+// Add the optional timezone column used to schedule in the recipient's local time
+(async () => {
+    try {
+        const pool = await connectDB();
+        await addColumnIfMissing(pool, 'phoneList', 'timezone', 'VARCHAR(64) NULL');
+    } catch (error) {
+        console.error('Error adding timezone column to phoneList:', error);
+    }
+})();
 
 // Function to save phone numbers to the database
 export const saveCSVDataToDB = async (req) => {
@@ -183,10 +194,12 @@ export const saveCSVDataToDB = async (req) => {
         // Insert all numbers into the database
         for (const row of results) {
             try {
+                // An unknown timezone falls back to the number's country when scheduling
+                const timezone = isValidTimeZone(row.timezone) ? row.timezone : null;
                 await connection.query(
-                    `INSERT INTO phoneList (phone_numbers, name, created_at, instance_id) 
-                     VALUES (?, ?, NOW(), ?)`,
-                    [row.phone_numbers, row.name, instanceId]
+                    `INSERT INTO phoneList (phone_numbers, name, timezone, created_at, instance_id) 
+                     VALUES (?, ?, ?, NOW(), ?)`,
+                    [row.phone_numbers, row.name, timezone, instanceId]
                 );
             } catch (insertError) {
                 console.error('Error inserting row:', insertError);
@@ -1,12 +1,56 @@
 // src/controllers/schedule.js
 
-import connectDB from '../db/index.js';
+import connectDB, { addColumnIfMissing } from '../db/index.js';
 import cron from 'node-cron';
+import fs from 'fs';
 import { instances, initializeSock } from './qrcode.js';
+import { buildMediaPayload } from './messages.js';
+import { resolveUploadedMedia } from './fileUpload.js';
+import { getDefaultTimeZone, fromZonedWallClock, getRecipientTimeZone, parseWallClock } from './timezones.js';
+import { getNextOpenSlot, getNextSendSlot, getSendWindow } from './sendWindows.js';
+import { waitForSendSlot } from './throttling.js';
+import { claimDueScheduledMessages, confirmClaim, releaseClaims, runInSendQueue } from './sendQueue.js';
 import { logger } from '../logger.js';
 
-// Function to save scheduled message to database
-export const saveScheduledMessage = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, delayInMS) => {
+// Columns returned by the scheduled-messages routes
+const SCHEDULED_MESSAGE_COLUMNS = 'id, instance_id, recipient, message, media, caption, schedule_time, original_schedule_time, recipient_timezone, message_status, whatsapp_message_id, created_at';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Add the columns recording which timezone a recipient-local schedule was resolved in
+// and the requested time of rows that a send window pushed back
+(async () => {
+    try {
+        const pool = await connectDB();
+        await addColumnIfMissing(pool, 'media_messages', 'recipient_timezone', 'VARCHAR(64) NULL');
+        await addColumnIfMissing(pool, 'media_messages', 'original_schedule_time', 'DATETIME NULL');
+    } catch (error) {
+        logger.error('Error adding scheduling columns to media_messages:', error);
+    }
+})();
+
+// Function to format a date as a MySQL DATETIME in the server's local timezone
+const formatLocalDateTime = (date) => {
+    const pad = (num) => String(num).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Function to get the instant a recipient's clock shows `wallClock`,
+// recipients whose local time has already passed get it the next day
+const getRecipientScheduleTime = (wallClock, timeZone, now = new Date()) => {
+    let scheduledDateTime = fromZonedWallClock(wallClock, timeZone);
+    if (scheduledDateTime <= now) {
+        scheduledDateTime = fromZonedWallClock(new Date(wallClock.getTime() + ONE_DAY_MS), timeZone);
+    }
+    if (scheduledDateTime <= now) {
+        throw new Error('Schedule time must be in the future');
+    }
+    return scheduledDateTime;
+};
+
+// Function to save scheduled message to database, options.recipientLocalTime (e.g. 2024-05-01T10:00)
+// schedules each recipient at that wall-clock time in their own timezone instead of scheduleTime
+export const saveScheduledMessage = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, delayInMS, options = {}) => {
     try {
         // Validate that instance exists and is connected
         if (!instanceId) {
@@ -47,7 +91,10 @@ export const saveScheduledMessage = async (instanceId, phoneNumbers, message, me
         const currentTime = new Date();
         let scheduledDateTime;
         
-        if (!scheduleTime) {
+        if (options.recipientLocalTime) {
+            // Resolved per recipient below
+            scheduledDateTime = null;
+        } else if (!scheduleTime) {
             // Use delayInMS if provided, otherwise default to 4000ms (4 seconds)
             const delay = delayInMS ? parseInt(delayInMS) : 4000;
             scheduledDateTime = new Date(currentTime.getTime() + delay);
@@ -60,35 +107,54 @@ export const saveScheduledMessage = async (instanceId, phoneNumbers, message, me
         }
         // *************
 
-        // Format the schedule time while preserving the local timezone
-        const pad = (num) => String(num).padStart(2, '0');
-        const formattedScheduleTime = `${scheduledDateTime.getFullYear()}-${pad(scheduledDateTime.getMonth() + 1)}-${pad(scheduledDateTime.getDate())} ${pad(scheduledDateTime.getHours())}:${pad(scheduledDateTime.getMinutes())}:${pad(scheduledDateTime.getSeconds())}`;
+        const recipientWallClock = options.recipientLocalTime ? parseWallClock(options.recipientLocalTime) : null;
+        if (options.recipientLocalTime && !recipientWallClock) {
+            throw new Error('recipientLocalTime must look like YYYY-MM-DDTHH:mm');
+        }
         
         // Convert phoneNumbers to array if it's not already
         const recipients = Array.isArray(phoneNumbers) ? phoneNumbers : [phoneNumbers];
         
         const query = `
             INSERT INTO media_messages 
-            (instance_id, recipient, message, media, caption, schedule_time, message_status, whatsapp_message_id, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, 'pending', NULL, NOW());
+            (instance_id, recipient, message, media, caption, schedule_time, original_schedule_time, recipient_timezone, message_status, whatsapp_message_id, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', NULL, NOW());
         `;
 
         const savedIds = [];
+        const sendWindow = await getSendWindow(instanceId);
         
         // Save separate row for each recipient
         for (const recipient of recipients) {
+            // Recipient-local schedules fan out to a different instant per timezone
+            const recipientTimeZone = recipientWallClock ? await getRecipientTimeZone(recipient.trim(), instanceId) : null;
+            const recipientDateTime = recipientWallClock
+                ? getRecipientScheduleTime(recipientWallClock, recipientTimeZone, currentTime)
+                : scheduledDateTime;
+
+            // Times outside the instance's send window move to its next open slot
+            const sendAt = getNextOpenSlot(sendWindow, recipientDateTime);
+            const isDeferred = sendAt > recipientDateTime;
+
+            // Format the schedule time while preserving the local timezone
+            const formattedScheduleTime = formatLocalDateTime(sendAt);
+
             const values = [
                 instanceId || null,
                 recipient.trim(),  // Save single recipient
                 message || null,
                 media || null,
                 caption || null,
-                formattedScheduleTime
+                formattedScheduleTime,
+                isDeferred ? formatLocalDateTime(recipientDateTime) : null,
+                recipientTimeZone
             ];
 
             logger.info('Saving scheduled message for recipient:', {
                 recipient: recipient.trim(),
-                scheduleTime: formattedScheduleTime
+                scheduleTime: formattedScheduleTime,
+                deferredFrom: isDeferred ? recipientDateTime : undefined,
+                recipientTimeZone
             });
             
             const [result] = await connection.execute(query, values);
@@ -103,8 +169,8 @@ export const saveScheduledMessage = async (instanceId, phoneNumbers, message, me
     }
 };
 
-// Function to send a single message using Baileys with retry
-const sendMessage = async (sock, jid, message, retries = 3) => {
+// Function to send a single message using Baileys with retry, content is a Baileys message payload
+const sendMessage = async (sock, instanceId, jid, content, retries = 3) => {
     try {
         let lastError = null;
         
@@ -119,7 +185,7 @@ const sendMessage = async (sock, jid, message, retries = 3) => {
                     throw new Error('Socket not properly authenticated');
                 }
 
-                const sentMsg = await sock.sendMessage(jid, { text: message });
+                const sentMsg = await runInSendQueue(instanceId, () => sock.sendMessage(jid, content));
                 const whatsapp_message_id = sentMsg?.key?.id || null;
                 
                 if (!whatsapp_message_id) {
@@ -172,6 +238,44 @@ const sendMessage = async (sock, jid, message, retries = 3) => {
     }
 };
 
+// Function to send a scheduled row, the media with its caption first and then the text
+const sendScheduledMessage = async (sock, jid, message) => {
+    if (!message.media) {
+        return sendMessage(sock, message.instance_id, jid, { text: message.message });
+    }
+
+    if (!fs.existsSync(message.media)) {
+        return { success: false, whatsapp_message_id: null, error: `Media file not found: ${message.media}` };
+    }
+
+    const fileBuffer = await fs.promises.readFile(message.media);
+    const mediaResult = await sendMessage(sock, message.instance_id, jid, buildMediaPayload(fileBuffer, message.media, message.caption));
+    if (!mediaResult.success || !message.message) {
+        return mediaResult;
+    }
+
+    const textResult = await sendMessage(sock, message.instance_id, jid, { text: message.message });
+    // Keep the media message ID so its receipts are still tracked if only the text failed
+    return { ...textResult, whatsapp_message_id: textResult.whatsapp_message_id || mediaResult.whatsapp_message_id };
+};
+
+// Function to move pending rows to a later send time, keeping the time they were first scheduled for
+const deferScheduledMessages = async (messageIds, sendAt) => {
+    try {
+        const connection = await connectDB();
+        await connection.query(
+            `UPDATE media_messages
+             SET original_schedule_time = COALESCE(original_schedule_time, schedule_time), schedule_time = ?,
+                 claimed_by = NULL, claimed_at = NULL
+             WHERE id IN (?) AND message_status = 'pending'`,
+            [formatLocalDateTime(sendAt), messageIds]
+        );
+        logger.info('Deferred scheduled messages to the next send window:', { count: messageIds.length, sendAt });
+    } catch (error) {
+        logger.error('Error deferring scheduled messages:', error.message);
+    }
+};
+
 // Function to get pending scheduled messages
 export const getPendingScheduledMessages = async () => {
     try {
@@ -197,10 +301,17 @@ export const getPendingScheduledMessages = async () => {
 export const initializeScheduler = () => {
     logger.info('Initializing message scheduler...');
     
+    // Paced sends can outlast a tick, so skip ticks while a batch is still going out
+    let isRunning = false;
+
     // Run every 2 seconds instead of every 1 second to reduce load
     const scheduler = cron.schedule('*/2 * * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
         try {
-            const pendingMessages = await getPendingScheduledMessages();
+            // Claimed rows are left alone by the schedulers of other processes
+            const pendingMessages = await claimDueScheduledMessages();
             if (pendingMessages.length === 0) return;
             
             // Group messages by instance_id for efficiency
@@ -216,15 +327,25 @@ export const initializeScheduler = () => {
             for (const [instanceId, messages] of Object.entries(messagesByInstance)) {
                 if (!instanceId) continue;
 
+                // Rows due while the send window is closed wait for it to open
+                const sendAt = await getNextSendSlot(instanceId);
+                if (sendAt > new Date()) {
+                    await deferScheduledMessages(messages.map(message => message.id), sendAt);
+                    continue;
+                }
+
                 // Get or initialize WhatsApp instance
                 let instance = instances[instanceId];
                 if (!instance?.sock || instance.status !== 'connected') {
                     try {
                         await initializeSock(instanceId);
                         instance = instances[instanceId];
-                        if (!instance?.sock || instance.status !== 'connected') continue;
                     } catch (error) {
                         logger.error(`Error initializing WhatsApp instance ${instanceId}:`, error.message);
+                    }
+                    if (!instance?.sock || instance.status !== 'connected') {
+                        // The rows can be edited or cancelled until the instance is back
+                        await releaseClaims(messages.map(message => message.id));
                         continue;
                     }
                 }
@@ -234,13 +355,16 @@ export const initializeScheduler = () => {
                     try {
                         const formattedNumber = message.recipient.replace(/[+\s-]/g, '');
                         const jid = `${formattedNumber}@s.whatsapp.net`;
+
+                        // Pace the send with the instance's throttle profile
+                        await waitForSendSlot(instanceId);
+
+                        // Skip rows cancelled, edited away or taken over by another process meanwhile
+                        if (!(await confirmClaim(message.id))) continue;
                         
                         // Send message with retry mechanism
-                        const { success, whatsapp_message_id } = await sendMessage(instance.sock, jid, message.message);
+                        const { success, whatsapp_message_id } = await sendScheduledMessage(instance.sock, jid, message);
                         await updateScheduledMessageStatus(message.id, success ? 'sent' : 'failed', whatsapp_message_id);
-                        
-                        // Add a small delay between messages to prevent rate limiting
-                        await new Promise(resolve => setTimeout(resolve, 500));
                     } catch (err) {
                         logger.error(`Error processing message ${message.id}:`, err.message);
                         await updateScheduledMessageStatus(message.id, 'failed');
@@ -249,16 +373,33 @@ export const initializeScheduler = () => {
             }
         } catch (error) {
             logger.error('Error in scheduler:', error.message);
+        } finally {
+            isRunning = false;
         }
     }, {
         scheduled: true,
-        timezone: "Asia/Kolkata"
+        timezone: getDefaultTimeZone()
     });
 
     scheduler.start();
     logger.info('Message scheduler initialized');
 };
 
+// Helper function to record when the scheduler sent a message, its row was created when it was scheduled.
+// Analytics measure delivery and read times from it, a failure here does not fail the send
+const recordScheduledSendTime = async (connection, messageId, whatsappMessageId) => {
+    try {
+        await connection.query(
+            `INSERT INTO report_time (instance_id, recipient, whatsapp_message_id, initiated_time, sent_time)
+             SELECT instance_id, recipient, ?, created_at, NOW() FROM media_messages WHERE id = ?
+             ON DUPLICATE KEY UPDATE sent_time = COALESCE(sent_time, VALUES(sent_time))`,
+            [whatsappMessageId, messageId]
+        );
+    } catch (error) {
+        logger.error('Failed to record the send time of a scheduled message:', { messageId, error: error.message });
+    }
+};
+
 // Function to update message status
 export const updateScheduledMessageStatus = async (messageId, message_status, whatsapp_message_id = null) => {
     try {
@@ -284,6 +425,9 @@ export const updateScheduledMessageStatus = async (messageId, message_status, wh
         }
         
         await connection.execute(query, params);
+        if (message_status === 'sent' && whatsapp_message_id) {
+            await recordScheduledSendTime(connection, messageId, whatsapp_message_id);
+        }
     } catch (error) {
         logger.error('Error updating message status:', error.message);
         throw error;
@@ -364,4 +508,228 @@ export const saveMediaMessage = async (req, res) => {
         logger.error('Error processing request:', { error: error.message, stack: error.stack });
         return res.status(500).json({ error: 'Server error' });
     }
-};
\ No newline at end of file
+};
+// Schedule a message for one or more recipients
+export const createScheduledMessages = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { recipients, message, filePath, caption, scheduleTime, delayInMS, recipientLocalTime } = req.body;
+
+        if (!recipients || (Array.isArray(recipients) && recipients.length === 0)) {
+            return res.status(400).json({ success: false, message: 'recipients is required' });
+        }
+        if (!message && !filePath) {
+            return res.status(400).json({ success: false, message: 'A message or a filePath is required' });
+        }
+        if (scheduleTime && isNaN(new Date(scheduleTime).getTime())) {
+            return res.status(400).json({ success: false, message: 'Invalid scheduleTime format' });
+        }
+        if (scheduleTime && recipientLocalTime) {
+            return res.status(400).json({ success: false, message: 'Use either scheduleTime or recipientLocalTime, not both' });
+        }
+        // The scheduler reads the file and sends it, so only files uploaded for this instance are accepted
+        const mediaPath = filePath ? resolveUploadedMedia(instanceId, filePath) : null;
+        if (filePath && !mediaPath) {
+            return res.status(400).json({ success: false, message: 'filePath must be a file uploaded for this instance' });
+        }
+
+        const phoneNumbers = (Array.isArray(recipients) ? recipients : [recipients])
+            .map(recipient => String(recipient).replace(/[+\s-]/g, ''));
+
+        const savedIds = await saveScheduledMessage(
+            instanceId, phoneNumbers, message, mediaPath, caption || null, scheduleTime, delayInMS, { recipientLocalTime }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Message scheduled successfully',
+            data: savedIds
+        });
+    } catch (error) {
+        logger.error('Error in createScheduledMessages:', { error: error.message, stack: error.stack });
+        // saveScheduledMessage throws validation errors (instance not connected, time in the past)
+        res.status(400).json({ success: false, message: error.message });
+    }
+};
+
+// List the scheduled messages of an instance, pending ones by default
+export const listScheduledMessages = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const status = req.query.status || 'pending';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const conditions = ['instance_id = ?', 'schedule_time IS NOT NULL'];
+        const params = [instanceId];
+        if (status !== 'all') {
+            conditions.push('message_status = ?');
+            params.push(status);
+        }
+
+        const connection = await connectDB();
+        const [messages] = await connection.query(
+            `SELECT ${SCHEDULED_MESSAGE_COLUMNS} FROM media_messages
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY schedule_time ASC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        const [countRows] = await connection.query(
+            `SELECT COUNT(*) AS total FROM media_messages WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+
+        res.json({
+            success: true,
+            messages,
+            pagination: {
+                page,
+                limit,
+                total: countRows[0].total
+            }
+        });
+    } catch (error) {
+        logger.error('Error in listScheduledMessages:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch scheduled messages' });
+    }
+};
+
+// Get a single scheduled message
+export const getScheduledMessage = async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const connection = await connectDB();
+
+        const [rows] = await connection.query(
+            `SELECT ${SCHEDULED_MESSAGE_COLUMNS} FROM media_messages WHERE id = ? AND instance_id = ?`,
+            [messageId, instanceId]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Scheduled message not found' });
+        }
+
+        res.json({ success: true, data: rows[0] });
+    } catch (error) {
+        logger.error('Error in getScheduledMessage:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch scheduled message' });
+    }
+};
+
+// Reschedule or edit a scheduled message that is still pending
+export const updateScheduledMessage = async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const { message, filePath, caption, scheduleTime, recipientLocalTime } = req.body;
+
+        if (scheduleTime !== undefined && recipientLocalTime !== undefined) {
+            return res.status(400).json({ success: false, message: 'Use either scheduleTime or recipientLocalTime, not both' });
+        }
+
+        const connection = await connectDB();
+        const updates = {};
+        let requestedDateTime = null;
+        if (message !== undefined) updates.message = message || null;
+        if (filePath !== undefined) {
+            updates.media = filePath ? resolveUploadedMedia(instanceId, filePath) : null;
+            if (filePath && !updates.media) {
+                return res.status(400).json({ success: false, message: 'filePath must be a file uploaded for this instance' });
+            }
+        }
+        if (caption !== undefined) updates.caption = caption || null;
+        if (scheduleTime !== undefined) {
+            const scheduledDateTime = new Date(scheduleTime);
+            if (isNaN(scheduledDateTime.getTime())) {
+                return res.status(400).json({ success: false, message: 'Invalid scheduleTime format' });
+            }
+            if (scheduledDateTime <= new Date()) {
+                return res.status(400).json({ success: false, message: 'Schedule time must be in the future' });
+            }
+            requestedDateTime = scheduledDateTime;
+            updates.recipient_timezone = null;
+        }
+        if (recipientLocalTime !== undefined) {
+            const wallClock = parseWallClock(recipientLocalTime);
+            if (!wallClock) {
+                return res.status(400).json({ success: false, message: 'recipientLocalTime must look like YYYY-MM-DDTHH:mm' });
+            }
+
+            const [rows] = await connection.query(
+                'SELECT recipient, recipient_timezone FROM media_messages WHERE id = ? AND instance_id = ?',
+                [messageId, instanceId]
+            );
+            if (rows.length === 0) {
+                return res.status(404).json({ success: false, message: 'Scheduled message not found' });
+            }
+
+            const timeZone = rows[0].recipient_timezone || await getRecipientTimeZone(rows[0].recipient, instanceId);
+            try {
+                requestedDateTime = getRecipientScheduleTime(wallClock, timeZone);
+            } catch (error) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            updates.recipient_timezone = timeZone;
+        }
+        if (requestedDateTime) {
+            // Keep the requested time when the send window pushes the message back
+            const sendAt = await getNextSendSlot(instanceId, requestedDateTime);
+            updates.schedule_time = formatLocalDateTime(sendAt);
+            updates.original_schedule_time = sendAt > requestedDateTime ? formatLocalDateTime(requestedDateTime) : null;
+        }
+
+        const fields = Object.keys(updates);
+        if (fields.length === 0) {
+            return res.status(400).json({ success: false, message: 'Nothing to update' });
+        }
+
+        // Only pending rows nobody has claimed can change, the scheduler keeps a row pending while it sends it.
+        // Rows of send jobs are not scheduled messages
+        const [result] = await connection.query(
+            `UPDATE media_messages SET ${fields.map(field => `${field} = ?`).join(', ')}
+             WHERE id = ? AND instance_id = ? AND message_status = 'pending' AND claimed_by IS NULL AND send_job_id IS NULL`,
+            [...Object.values(updates), messageId, instanceId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'Only pending scheduled messages that are not being sent can be updated' });
+        }
+
+        const [rows] = await connection.query(
+            `SELECT ${SCHEDULED_MESSAGE_COLUMNS} FROM media_messages WHERE id = ?`,
+            [messageId]
+        );
+
+        res.json({ success: true, message: 'Scheduled message updated successfully', data: rows[0] });
+    } catch (error) {
+        logger.error('Error in updateScheduledMessage:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to update scheduled message' });
+    }
+};
+
+// Cancel a scheduled message that is still pending
+export const cancelScheduledMessage = async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const connection = await connectDB();
+
+        // Keep the row for reports and audits, the scheduler only picks up pending rows.
+        // Claimed rows are being sent right now and rows of send jobs are not scheduled messages
+        const [result] = await connection.query(
+            `UPDATE media_messages SET message_status = 'cancelled'
+             WHERE id = ? AND instance_id = ? AND message_status = 'pending' AND claimed_by IS NULL AND send_job_id IS NULL`,
+            [messageId, instanceId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'Only pending scheduled messages that are not being sent can be cancelled' });
+        }
+
+        logger.info('Scheduled message cancelled:', { instanceId, messageId });
+        res.json({ success: true, message: 'Scheduled message cancelled successfully' });
+    } catch (error) {
+        logger.error('Error in cancelScheduledMessage:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to cancel scheduled message' });
+    }
+};
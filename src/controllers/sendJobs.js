@@ -0,0 +1,520 @@
+// src/controllers/sendJobs.js
+
+import fs from 'fs';
+import os from 'os';
+import cron from 'node-cron';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import connectDB, { addColumnIfMissing } from '../db/index.js';
+import { logger } from '../logger.js';
+import { buildMediaPayload, sendMessagesOneAtATime } from './messages.js';
+import { instances } from './qrcode.js';
+
+// Valid values for `send_jobs.status`
+export const JOB_STATUS = {
+    RUNNING: 'running',
+    INTERRUPTED: 'interrupted',
+    COMPLETED: 'completed',
+    STOPPED: 'stopped',
+    FAILED: 'failed'
+};
+
+// Finished jobs stay in memory for polling this long, afterwards they are read from the database
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+// A running job whose heartbeat is older than this was left behind by a stopped process
+const STALE_JOB_SECONDS = 120;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Identifies this process as the owner of the jobs, leases and rows it works on
+export const PROCESS_OWNER = `${os.hostname()}:${process.pid}`;
+
+// Store send jobs of this process
+const jobs = new Map();
+
+// Hooks that rebuild the callbacks of a job after a restart, keyed by job kind
+const jobHookFactories = {};
+
+// Helper function to make sure the send_jobs table exists
+const checkSendJobsTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM send_jobs LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating send_jobs table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS send_jobs (
+                    id VARCHAR(36) PRIMARY KEY,
+                    instance_id VARCHAR(255) NOT NULL,
+                    campaign_id INT NULL,
+                    kind VARCHAR(50) NOT NULL DEFAULT 'bulk',
+                    status ENUM('running', 'interrupted', 'completed', 'stopped', 'failed') NOT NULL DEFAULT 'running',
+                    payload LONGTEXT NOT NULL,
+                    total INT NOT NULL DEFAULT 0,
+                    position INT NOT NULL DEFAULT 0,
+                    sent INT NOT NULL DEFAULT 0,
+                    failed INT NOT NULL DEFAULT 0,
+                    error TEXT NULL,
+                    owner VARCHAR(255) NULL,
+                    heartbeat_at DATETIME NULL,
+                    started_at DATETIME NOT NULL,
+                    finished_at DATETIME NULL,
+                    INDEX idx_status_heartbeat (status, heartbeat_at),
+                    INDEX idx_instance_id (instance_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('send_jobs table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize send_jobs table and tag media_messages rows with their job
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkSendJobsTable(pool);
+        await addColumnIfMissing(pool, 'media_messages', 'send_job_id', 'VARCHAR(36) NULL, ADD INDEX idx_send_job_id (send_job_id)');
+        logger.info('send_jobs table check completed');
+    } catch (error) {
+        logger.error('Error initializing send_jobs table:', error);
+    }
+})();
+
+// Register how to rebuild shouldContinue / onMessageProcessed / onFinish for a kind of job after a restart
+export const registerJobHooks = (kind, factory) => {
+    jobHookFactories[kind] = factory;
+};
+
+// Function to build the public view of a job, including the ETA
+export const getJobSnapshot = (job) => {
+    const processed = job.sent + job.failed;
+    const remaining = Math.max(job.total - processed, 0);
+    const startedAt = new Date(job.startedAt);
+    // Time spent waiting for the send window does not count towards the average
+    const waitingMs = (job.waitedMs || 0) + (job.deferredSince ? Date.now() - job.deferredSince : 0);
+    const elapsedMs = (job.finishedAt ? new Date(job.finishedAt) : new Date()) - startedAt - waitingMs;
+    const averageMs = processed > 0 ? elapsedMs / processed : null;
+    const waitMs = job.deferredUntil ? Math.max(new Date(job.deferredUntil) - Date.now(), 0) : 0;
+
+    return {
+        jobId: job.id,
+        instanceId: job.instanceId,
+        campaignId: job.campaignId,
+        status: job.status,
+        total: job.total,
+        sent: job.sent,
+        failed: job.failed,
+        remaining,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        // Set while the job waits for the instance's send window to open
+        deferredUntil: job.deferredUntil || null,
+        // Set when the job was moved to another instance by a failover
+        handedOverTo: job.handedOverTo || null,
+        averageSecondsPerMessage: averageMs !== null ? Math.round(averageMs / 100) / 10 : null,
+        etaSeconds: job.status === JOB_STATUS.RUNNING && averageMs !== null
+            ? Math.round((averageMs * remaining + waitMs) / 1000)
+            : null,
+        error: job.error
+    };
+};
+
+// Function to send the messages of a job from its current position
+const runSendJob = (job, { sock, messages, mediaPayload, filePath, scheduleTime, shouldContinue, onMessageProcessed, onFinish }) => {
+    const pool = connectDB();
+    jobs.set(job.id, job);
+
+    const heartbeat = setInterval(() => {
+        pool.query('UPDATE send_jobs SET heartbeat_at = NOW() WHERE id = ?', [job.id])
+            .catch(error => logger.error('Failed to update send job heartbeat:', { jobId: job.id, error: error.message }));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const finish = async (status, error = null) => {
+        clearInterval(heartbeat);
+        if (job.deferredSince) {
+            job.waitedMs = (job.waitedMs || 0) + Date.now() - job.deferredSince;
+            job.deferredSince = null;
+        }
+        job.deferredUntil = null;
+        job.status = status;
+        job.error = error;
+        job.finishedAt = new Date();
+
+        // A handed over job is left for the recovery to resume on the other instance
+        const statusQuery = status === JOB_STATUS.INTERRUPTED
+            ? pool.query(
+                'UPDATE send_jobs SET status = ?, instance_id = ?, owner = NULL WHERE id = ?',
+                [status, job.handedOverTo, job.id]
+            )
+            : pool.query(
+                'UPDATE send_jobs SET status = ?, error = ?, finished_at = NOW() WHERE id = ?',
+                [status, error, job.id]
+            );
+        await statusQuery.catch(dbError => logger.error('Failed to save send job status:', { jobId: job.id, error: dbError.message }));
+
+        job.emitter.emit('progress', getJobSnapshot(job));
+        job.emitter.emit('end');
+
+        logger.info('Send job finished:', getJobSnapshot(job));
+        setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+
+        if (onFinish) {
+            await onFinish(job).catch(hookError => logger.error('Error in send job finish hook:', { jobId: job.id, error: hookError.message }));
+        }
+    };
+
+    job.promise = sendMessagesOneAtATime(messages, mediaPayload, sock, job.instanceId, filePath, scheduleTime, {
+        campaignId: job.campaignId,
+        sendJobId: job.id,
+        // Stop before the next recipient once the job is handed over to another instance
+        shouldContinue: async () => !job.handedOverTo && (!shouldContinue || await shouldContinue()),
+        onDeferred: (sendAt) => {
+            if (sendAt && !job.deferredSince) {
+                job.deferredSince = Date.now();
+            } else if (!sendAt && job.deferredSince) {
+                job.waitedMs = (job.waitedMs || 0) + Date.now() - job.deferredSince;
+                job.deferredSince = null;
+            }
+            job.deferredUntil = sendAt;
+            job.emitter.emit('progress', getJobSnapshot(job));
+        },
+        onMessageProcessed: async (message, result) => {
+            if (result.success) {
+                job.sent++;
+            } else {
+                job.failed++;
+            }
+
+            // Record the position so a restart continues with the next recipient
+            await pool.query(
+                'UPDATE send_jobs SET position = position + 1, sent = ?, failed = ?, heartbeat_at = NOW() WHERE id = ?',
+                [job.sent, job.failed, job.id]
+            );
+            job.emitter.emit('progress', getJobSnapshot(job));
+
+            if (onMessageProcessed) {
+                await onMessageProcessed(message, result);
+            }
+        }
+    })
+        .then(() => {
+            const processed = job.sent + job.failed;
+            if (processed < job.total && job.handedOverTo) {
+                return finish(JOB_STATUS.INTERRUPTED);
+            }
+            return finish(processed < job.total ? JOB_STATUS.STOPPED : JOB_STATUS.COMPLETED);
+        })
+        .catch((error) => {
+            logger.error('Send job failed:', { jobId: job.id, error: error.message, stack: error.stack });
+            return finish(JOB_STATUS.FAILED, error.message);
+        });
+
+    return job;
+};
+
+// Function to start sending a list of messages in the background
+export const startSendJob = async ({ instanceId, sock, messages, mediaPayload, filePath, scheduleTime, campaignId, kind = 'bulk', shouldContinue, onMessageProcessed, onFinish }) => {
+    const pool = await connectDB();
+    await checkSendJobsTable(pool);
+
+    const job = {
+        id: uuidv4(),
+        instanceId,
+        campaignId: campaignId || null,
+        kind,
+        status: JOB_STATUS.RUNNING,
+        total: messages.length,
+        sent: 0,
+        failed: 0,
+        startedAt: new Date(),
+        finishedAt: null,
+        error: null,
+        emitter: new EventEmitter()
+    };
+
+    // Persist everything needed to resume the job in another process
+    await pool.query(
+        `INSERT INTO send_jobs (id, instance_id, campaign_id, kind, status, payload, total, owner, heartbeat_at, started_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+            job.id,
+            instanceId,
+            job.campaignId,
+            kind,
+            JOB_STATUS.RUNNING,
+            JSON.stringify({ messages, filePath: filePath || null, scheduleTime: scheduleTime || null }),
+            job.total,
+            PROCESS_OWNER
+        ]
+    );
+
+    logger.info('Send job started:', { jobId: job.id, instanceId, campaignId, total: job.total });
+
+    return runSendJob(job, { sock, messages, mediaPayload, filePath, scheduleTime, shouldContinue, onMessageProcessed, onFinish });
+};
+
+// Function to get the socket of an instance connected in this process, or null.
+// Recovery never connects instances itself, the restore and reconnect logic own the sockets
+const getConnectedSock = (instanceId) => {
+    const instance = instances[instanceId];
+    return instance?.sock && instance.status === 'connected' ? instance.sock : null;
+};
+
+// Function to resume one interrupted job, exactly once across processes.
+// Only the process holding the instance's connection claims it, the others skip it until then
+const resumeSendJob = async (row) => {
+    const pool = await connectDB();
+
+    if (!getConnectedSock(row.instance_id)) return;
+
+    // Claim the job, only one process can win this update
+    const [claim] = await pool.query(
+        'UPDATE send_jobs SET status = ?, owner = ?, heartbeat_at = NOW() WHERE id = ? AND status = ?',
+        [JOB_STATUS.RUNNING, PROCESS_OWNER, row.id, JOB_STATUS.INTERRUPTED]
+    );
+    if (claim.affectedRows === 0) return;
+
+    // The connection may have dropped while claiming, hand the job back for a later run
+    const sock = getConnectedSock(row.instance_id);
+    if (!sock) {
+        await pool.query(
+            'UPDATE send_jobs SET status = ?, owner = NULL WHERE id = ? AND owner = ?',
+            [JOB_STATUS.INTERRUPTED, row.id, PROCESS_OWNER]
+        );
+        return;
+    }
+
+    const payload = JSON.parse(row.payload);
+    const messages = payload.messages.slice(row.position);
+    const hooks = jobHookFactories[row.kind] ? jobHookFactories[row.kind](row) : {};
+
+    const job = {
+        id: row.id,
+        instanceId: row.instance_id,
+        campaignId: row.campaign_id,
+        kind: row.kind,
+        status: JOB_STATUS.RUNNING,
+        total: row.total,
+        sent: row.sent,
+        failed: row.failed,
+        startedAt: row.started_at,
+        finishedAt: null,
+        error: null,
+        emitter: new EventEmitter()
+    };
+
+    // The recipient at the saved position may have been logged before the restart
+    if (messages.length > 0) {
+        const [logged] = await pool.query(
+            'SELECT id, whatsapp_message_id FROM media_messages WHERE send_job_id = ? AND recipient = ? ORDER BY id DESC LIMIT 1',
+            [row.id, messages[0].number]
+        );
+
+        if (logged.length > 0 && logged[0].whatsapp_message_id) {
+            // Already delivered to WhatsApp, count it and move on
+            const skipped = messages.shift();
+            job.sent++;
+            await pool.query(
+                'UPDATE send_jobs SET position = position + 1, sent = ? WHERE id = ?',
+                [job.sent, job.id]
+            );
+            if (hooks.onMessageProcessed) {
+                await hooks.onMessageProcessed(skipped, { success: true, dbMessageId: logged[0].id, whatsappMessageId: logged[0].whatsapp_message_id });
+            }
+        } else if (logged.length > 0) {
+            // Logged as pending but never sent, reuse the row instead of adding another one
+            messages[0] = { ...messages[0], dbMessageId: logged[0].id };
+        }
+    }
+
+    let mediaPayload = null;
+    if (payload.filePath) {
+        const fileBuffer = await fs.promises.readFile(payload.filePath);
+        mediaPayload = buildMediaPayload(fileBuffer, payload.filePath, payload.messages[0]?.caption);
+    }
+
+    logger.info('Resuming send job:', { jobId: job.id, instanceId: job.instanceId, position: row.position, remaining: messages.length });
+
+    runSendJob(job, {
+        sock,
+        messages,
+        mediaPayload,
+        filePath: payload.filePath,
+        scheduleTime: payload.scheduleTime,
+        shouldContinue: hooks.shouldContinue,
+        onMessageProcessed: hooks.onMessageProcessed,
+        onFinish: hooks.onFinish
+    });
+};
+
+// Function to move the unfinished jobs of an instance to another instance, where the recovery resumes them.
+// Jobs this process is running stop before their next recipient and are moved once stopped.
+// Returns the number of jobs handed over
+export const handOverSendJobs = async (fromInstanceId, toInstanceId) => {
+    const pool = await connectDB();
+
+    let handedOver = 0;
+    for (const job of jobs.values()) {
+        if (job.instanceId === fromInstanceId && job.status === JOB_STATUS.RUNNING && !job.handedOverTo) {
+            job.handedOverTo = toInstanceId;
+            handedOver++;
+        }
+    }
+
+    const [result] = await pool.query(
+        'UPDATE send_jobs SET instance_id = ? WHERE instance_id = ? AND status = ?',
+        [toInstanceId, fromInstanceId, JOB_STATUS.INTERRUPTED]
+    );
+
+    return handedOver + result.affectedRows;
+};
+
+// Initialize recovery of jobs left unfinished by a restart
+export const initializeSendJobRecovery = () => {
+    logger.info('Initializing send job recovery...');
+
+    let isRunning = false;
+    const recovery = cron.schedule('*/30 * * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            const pool = await connectDB();
+
+            // Jobs whose process stopped sending heartbeats are interrupted
+            await pool.query(
+                'UPDATE send_jobs SET status = ? WHERE status = ? AND heartbeat_at < NOW() - INTERVAL ? SECOND',
+                [JOB_STATUS.INTERRUPTED, JOB_STATUS.RUNNING, STALE_JOB_SECONDS]
+            );
+
+            const [interruptedJobs] = await pool.query(
+                'SELECT * FROM send_jobs WHERE status = ? ORDER BY started_at ASC',
+                [JOB_STATUS.INTERRUPTED]
+            );
+
+            for (const row of interruptedJobs) {
+                try {
+                    await resumeSendJob(row);
+                } catch (error) {
+                    logger.error('Error resuming send job:', { jobId: row.id, error: error.message, stack: error.stack });
+                    await pool.query(
+                        'UPDATE send_jobs SET status = ?, error = ?, finished_at = NOW() WHERE id = ?',
+                        [JOB_STATUS.FAILED, error.message, row.id]
+                    );
+                }
+            }
+        } catch (error) {
+            logger.error('Error in send job recovery:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    recovery.start();
+    logger.info('Send job recovery initialized');
+};
+
+// Function to look up a job of an instance, in memory first and then in the database
+const findJob = async (instanceId, jobId) => {
+    const job = jobs.get(jobId);
+    if (job) {
+        return job.instanceId === instanceId ? job : null;
+    }
+
+    const pool = await connectDB();
+    const [rows] = await pool.query(
+        'SELECT * FROM send_jobs WHERE id = ? AND instance_id = ?',
+        [jobId, instanceId]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    return {
+        id: row.id,
+        instanceId: row.instance_id,
+        campaignId: row.campaign_id,
+        status: row.status,
+        total: row.total,
+        sent: row.sent,
+        failed: row.failed,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        error: row.error
+    };
+};
+
+// Get the progress of a send job
+export const getSendJobStatus = async (req, res) => {
+    try {
+        const { instanceId, jobId } = req.params;
+        const job = await findJob(instanceId, jobId);
+
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Send job not found' });
+        }
+
+        res.json({ success: true, job: getJobSnapshot(job) });
+    } catch (error) {
+        logger.error('Error in getSendJobStatus:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch send job' });
+    }
+};
+
+// Stream the progress of a send job as server-sent events
+export const streamSendJobProgress = async (req, res) => {
+    try {
+        const { instanceId, jobId } = req.params;
+        const job = await findJob(instanceId, jobId);
+
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Send job not found' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const sendEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        sendEvent('progress', getJobSnapshot(job));
+
+        // Finished, or running in another process: nothing to stream from here
+        if (job.finishedAt || !job.emitter) {
+            sendEvent('end', getJobSnapshot(job));
+            return res.end();
+        }
+
+        const onProgress = (snapshot) => sendEvent('progress', snapshot);
+        const onEnd = () => {
+            sendEvent('end', getJobSnapshot(job));
+            cleanup();
+            res.end();
+        };
+        // Keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            job.emitter.off('progress', onProgress);
+            job.emitter.off('end', onEnd);
+        };
+
+        job.emitter.on('progress', onProgress);
+        job.emitter.once('end', onEnd);
+        req.on('close', cleanup);
+    } catch (error) {
+        logger.error('Error in streamSendJobProgress:', { error: error.message, stack: error.stack });
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Failed to stream send job' });
+        } else {
+            res.end();
+        }
+    }
+};
@@ -0,0 +1,216 @@
+// src/controllers/sendQueue.js
+
+import AsyncLock from 'async-lock';
+import connectDB, { addColumnIfMissing } from '../db/index.js';
+import { logger } from '../logger.js';
+import { PROCESS_OWNER } from './sendJobs.js';
+
+// Interactive sends (replies to a customer) jump ahead of bulk sends waiting on the same instance
+export const SEND_PRIORITY = {
+    INTERACTIVE: 'interactive',
+    BULK: 'bulk'
+};
+
+// A lease not renewed for this long belongs to a stopped process and can be taken over
+const LEASE_SECONDS = 30;
+const LEASE_RENEW_MS = 10000;
+// Keep the lease for a while after the queue empties, so paced bulk sends are not handed to another process between messages
+const LEASE_IDLE_RELEASE_MS = 15000;
+const LEASE_RETRY_MS = 1000;
+// How long an interactive send waits for another process to free the instance
+const INTERACTIVE_LEASE_TIMEOUT_MS = 30000;
+
+// One queue per instance ID, every send of this process goes through it
+const lock = new AsyncLock({ maxPending: 10000 });
+
+// Leases held by this process, keyed by instance ID
+const heldLeases = new Map();
+
+// Helper function to make sure the send_leases table exists
+const checkSendLeasesTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM send_leases LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating send_leases table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS send_leases (
+                    instance_id VARCHAR(255) PRIMARY KEY,
+                    owner VARCHAR(255) NOT NULL,
+                    expires_at DATETIME NOT NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('send_leases table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize send_leases table and the columns used to claim scheduled rows
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkSendLeasesTable(pool);
+        await addColumnIfMissing(pool, 'media_messages', 'claimed_by', 'VARCHAR(255) NULL, ADD INDEX idx_status_schedule (message_status, schedule_time)');
+        await addColumnIfMissing(pool, 'media_messages', 'claimed_at', 'DATETIME NULL');
+        logger.info('send_leases table check completed');
+    } catch (error) {
+        logger.error('Error initializing send_leases table:', error);
+    }
+})();
+
+// Function to take or extend the lease of an instance, returns true when this process holds it
+const claimLease = async (instanceId) => {
+    const pool = await connectDB();
+    // owner is assigned first, so expires_at only moves when this process is (now) the owner
+    await pool.query(
+        `INSERT INTO send_leases (instance_id, owner, expires_at)
+         VALUES (?, ?, NOW() + INTERVAL ? SECOND)
+         ON DUPLICATE KEY UPDATE
+            owner = IF(owner = VALUES(owner) OR expires_at < NOW(), VALUES(owner), owner),
+            expires_at = IF(owner = VALUES(owner), VALUES(expires_at), expires_at)`,
+        [instanceId, PROCESS_OWNER, LEASE_SECONDS]
+    );
+
+    const [rows] = await pool.query('SELECT owner FROM send_leases WHERE instance_id = ?', [instanceId]);
+    return rows[0]?.owner === PROCESS_OWNER;
+};
+
+// Function to give the lease of an instance back
+const releaseLease = async (instanceId) => {
+    const held = heldLeases.get(instanceId);
+    if (!held) return;
+
+    clearInterval(held.renewTimer);
+    clearTimeout(held.releaseTimer);
+    heldLeases.delete(instanceId);
+
+    try {
+        const pool = await connectDB();
+        await pool.query('DELETE FROM send_leases WHERE instance_id = ? AND owner = ?', [instanceId, PROCESS_OWNER]);
+    } catch (error) {
+        logger.error('Failed to release send lease:', { instanceId, error: error.message });
+    }
+};
+
+// Function to wait until this process holds the lease of an instance
+const acquireLease = async (instanceId, timeoutMs) => {
+    const held = heldLeases.get(instanceId);
+    if (held) {
+        clearTimeout(held.releaseTimer);
+        held.releaseTimer = null;
+        return;
+    }
+
+    const startedAt = Date.now();
+    let loggedWait = false;
+    while (!(await claimLease(instanceId))) {
+        if (timeoutMs && Date.now() - startedAt >= timeoutMs) {
+            throw new Error('Instance is busy sending from another process, please try again shortly');
+        }
+        if (!loggedWait) {
+            logger.info('Waiting for another process to finish sending:', { instanceId });
+            loggedWait = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, LEASE_RETRY_MS));
+    }
+
+    const renewTimer = setInterval(() => {
+        claimLease(instanceId)
+            .then((stillHeld) => {
+                if (!stillHeld) {
+                    logger.warn('Send lease was taken over by another process:', { instanceId });
+                    releaseLease(instanceId);
+                }
+            })
+            .catch(error => logger.error('Failed to renew send lease:', { instanceId, error: error.message }));
+    }, LEASE_RENEW_MS);
+    renewTimer.unref();
+
+    heldLeases.set(instanceId, { renewTimer, releaseTimer: null });
+};
+
+// Function to release the lease once the queue of an instance stays empty for a while
+const scheduleLeaseRelease = (instanceId) => {
+    const held = heldLeases.get(instanceId);
+    if (!held || lock.isBusy(instanceId)) return;
+
+    clearTimeout(held.releaseTimer);
+    held.releaseTimer = setTimeout(() => {
+        if (!lock.isBusy(instanceId)) {
+            releaseLease(instanceId);
+        }
+    }, LEASE_IDLE_RELEASE_MS);
+    held.releaseTimer.unref();
+};
+
+// Function to run a send on an instance's socket through its queue.
+// Sends of one instance never overlap, interactive ones skip ahead of queued bulk ones,
+// and a MySQL lease keeps other app processes off the instance meanwhile
+export const runInSendQueue = (instanceId, send, { priority = SEND_PRIORITY.BULK } = {}) => {
+    const isInteractive = priority === SEND_PRIORITY.INTERACTIVE;
+
+    return lock.acquire(instanceId, async () => {
+        await acquireLease(instanceId, isInteractive ? INTERACTIVE_LEASE_TIMEOUT_MS : null);
+        try {
+            return await send();
+        } finally {
+            // The lock is still held here, so check again once it has been handed on
+            setImmediate(() => scheduleLeaseRelease(instanceId));
+        }
+    }, { skipQueue: isInteractive });
+};
+
+// A claim on a scheduled row not refreshed for this long was left by a stopped process
+export const CLAIM_TAKEOVER_MINUTES = 5;
+
+// Function to claim due scheduled rows for this process, so another process cannot send them too.
+// Claims older than staleMinutes were left by a stopped process and are taken over.
+// Rows of send jobs are never claimed, the job sends them and its recovery resumes them
+export const claimDueScheduledMessages = async (limit = 50, staleMinutes = CLAIM_TAKEOVER_MINUTES) => {
+    const pool = await connectDB();
+
+    await pool.query(
+        `UPDATE media_messages
+         SET claimed_by = ?, claimed_at = NOW()
+         WHERE message_status = 'pending'
+         AND schedule_time <= NOW()
+         AND send_job_id IS NULL
+         AND (claimed_by IS NULL OR claimed_by = ? OR claimed_at < NOW() - INTERVAL ? MINUTE)
+         ORDER BY schedule_time ASC
+         LIMIT ?`,
+        [PROCESS_OWNER, PROCESS_OWNER, staleMinutes, limit]
+    );
+
+    const [rows] = await pool.query(
+        `SELECT id, instance_id, recipient, message, media, caption, schedule_time, message_status
+         FROM media_messages
+         WHERE message_status = 'pending' AND claimed_by = ? AND schedule_time <= NOW() AND send_job_id IS NULL
+         ORDER BY schedule_time ASC
+         LIMIT ?`,
+        [PROCESS_OWNER, limit]
+    );
+    return rows;
+};
+
+// Function to confirm this process still owns a claimed row right before sending it, refreshing the claim
+export const confirmClaim = async (messageId) => {
+    const pool = await connectDB();
+    const [result] = await pool.query(
+        "UPDATE media_messages SET claimed_at = NOW() WHERE id = ? AND claimed_by = ? AND message_status = 'pending'",
+        [messageId, PROCESS_OWNER]
+    );
+    return result.affectedRows > 0;
+};
+
+// Function to give back this process's claims on rows it is not sending now, so they can be edited or cancelled meanwhile
+export const releaseClaims = async (messageIds) => {
+    const pool = await connectDB();
+    await pool.query(
+        "UPDATE media_messages SET claimed_by = NULL, claimed_at = NULL WHERE id IN (?) AND claimed_by = ? AND message_status = 'pending'",
+        [messageIds, PROCESS_OWNER]
+    );
+};
@@ -0,0 +1,260 @@
+// src/controllers/sendWindows.js
+
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+import { getDefaultTimeZone, fromZonedWallClock, isValidTimeZone, toZonedWallClock } from './timezones.js';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead to look for an open slot before giving up on a window
+const MAX_LOOKAHEAD_DAYS = 366;
+// Send windows are read on every send, so keep them in memory for a short while
+const CACHE_TTL_MS = 30000;
+
+// Cache of send windows keyed by instance ID
+const windowCache = new Map();
+
+// Helper function to make sure the send_windows table exists
+const checkSendWindowsTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM send_windows LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating send_windows table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS send_windows (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata',
+                    rules LONGTEXT NOT NULL,
+                    blackout_dates LONGTEXT NOT NULL,
+                    is_active TINYINT(1) NOT NULL DEFAULT 1,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_instance (instance_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('send_windows table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize send_windows table
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkSendWindowsTable(pool);
+        logger.info('send_windows table check completed');
+    } catch (error) {
+        logger.error('Error initializing send_windows table:', error);
+    }
+})();
+
+// Function to turn HH:mm into minutes since midnight, returns null when invalid.
+// 24:00 is accepted as the end of the day
+const toMinutes = (time) => {
+    if (String(time) === '24:00') return 24 * 60;
+
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(time));
+    if (!match) return null;
+
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+// Function to accept days as 0-6 (Sunday first) or as names like "mon"
+const toDayNumber = (day) => {
+    if (Number.isInteger(day) && day >= 0 && day <= 6) return day;
+    const index = DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    return index === -1 ? null : index;
+};
+
+// Function to validate and normalise a send window from a request body
+const parseSendWindowBody = (body) => {
+    const timezone = body.timezone || getDefaultTimeZone();
+    if (!isValidTimeZone(timezone)) {
+        return { error: `Unknown timezone: ${timezone}` };
+    }
+
+    if (!Array.isArray(body.windows) || body.windows.length === 0) {
+        return { error: 'windows must be a non-empty array of { days, start, end }' };
+    }
+
+    const rules = [];
+    for (const window of body.windows) {
+        const days = (Array.isArray(window.days) ? window.days : []).map(toDayNumber);
+        const start = toMinutes(window.start);
+        const end = toMinutes(window.end);
+
+        if (days.length === 0 || days.includes(null)) {
+            return { error: 'Each window needs days as 0-6 (Sunday first) or day names' };
+        }
+        if (start === null || end === null || start >= end) {
+            return { error: 'Each window needs start and end as HH:mm between 00:00 and 24:00 with start before end' };
+        }
+        rules.push({ days: [...new Set(days)].sort((a, b) => a - b), start: window.start, end: window.end });
+    }
+
+    const blackoutDates = body.blackoutDates || [];
+    if (!Array.isArray(blackoutDates) || blackoutDates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        return { error: 'blackoutDates must be an array of YYYY-MM-DD dates' };
+    }
+
+    return {
+        timezone,
+        rules,
+        blackoutDates,
+        isActive: body.isActive === undefined ? true : Boolean(body.isActive)
+    };
+};
+
+// Function to get the send window of an instance, or null when it can send at any time
+export const getSendWindow = async (instanceId) => {
+    const cached = windowCache.get(instanceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.window;
+    }
+
+    const pool = await connectDB();
+    const [rows] = await pool.query('SELECT * FROM send_windows WHERE instance_id = ?', [instanceId]);
+
+    const window = rows[0]
+        ? {
+            timezone: rows[0].timezone,
+            rules: JSON.parse(rows[0].rules),
+            blackoutDates: JSON.parse(rows[0].blackout_dates),
+            isActive: Boolean(rows[0].is_active),
+            updatedAt: rows[0].updated_at
+        }
+        : null;
+
+    windowCache.set(instanceId, { window, expiresAt: Date.now() + CACHE_TTL_MS });
+    return window;
+};
+
+// Function to get the first instant at or after `from` that falls inside the window
+export const getNextOpenSlot = (window, from = new Date()) => {
+    if (!window || !window.isActive) return from;
+
+    // Work on the window's wall clock, day by day
+    const wallClock = toZonedWallClock(from, window.timezone);
+    const fromMinutes = wallClock.getUTCHours() * 60 + wallClock.getUTCMinutes();
+    const firstDay = Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate());
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const day = new Date(firstDay + offset * ONE_DAY_MS);
+        if (window.blackoutDates.includes(day.toISOString().slice(0, 10))) continue;
+
+        const openings = window.rules
+            .filter(rule => rule.days.includes(day.getUTCDay()))
+            .filter(rule => offset > 0 || toMinutes(rule.end) > fromMinutes)
+            .map(rule => (offset > 0 ? toMinutes(rule.start) : Math.max(toMinutes(rule.start), fromMinutes)));
+
+        if (openings.length > 0) {
+            const minutes = Math.min(...openings);
+            if (offset === 0 && minutes === fromMinutes) return from;
+            return fromZonedWallClock(new Date(day.getTime() + minutes * 60000), window.timezone);
+        }
+    }
+
+    logger.warn('Send window has no open slot ahead, sending without it:', { timezone: window.timezone });
+    return from;
+};
+
+// Function to get when an instance may next send, `from` itself when the window is open
+export const getNextSendSlot = async (instanceId, from = new Date()) => {
+    try {
+        return getNextOpenSlot(await getSendWindow(instanceId), from);
+    } catch (error) {
+        // A broken window lookup should not stop sending altogether
+        logger.error('Error reading send window:', { instanceId, error: error.message });
+        return from;
+    }
+};
+
+// Get the send window of an instance with when it next opens
+export const getInstanceSendWindow = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const window = await getSendWindow(instanceId);
+
+        if (!window) {
+            return res.json({ success: true, window: null, isOpen: true, nextOpenAt: null });
+        }
+
+        const now = new Date();
+        const nextOpenAt = getNextOpenSlot(window, now);
+
+        res.json({
+            success: true,
+            window,
+            isOpen: nextOpenAt <= now,
+            nextOpenAt: nextOpenAt > now ? nextOpenAt : null
+        });
+    } catch (error) {
+        logger.error('Error in getInstanceSendWindow:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch send window' });
+    }
+};
+
+// Create or replace the send window of an instance
+export const setInstanceSendWindow = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const parsed = parseSendWindowBody(req.body);
+
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const pool = await connectDB();
+        await checkSendWindowsTable(pool);
+
+        await pool.query(
+            `INSERT INTO send_windows (instance_id, timezone, rules, blackout_dates, is_active)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE timezone = VALUES(timezone), rules = VALUES(rules),
+                blackout_dates = VALUES(blackout_dates), is_active = VALUES(is_active)`,
+            [instanceId, parsed.timezone, JSON.stringify(parsed.rules), JSON.stringify(parsed.blackoutDates), parsed.isActive]
+        );
+
+        windowCache.delete(instanceId);
+        logger.info('Send window saved:', { instanceId, timezone: parsed.timezone, rules: parsed.rules });
+
+        const window = await getSendWindow(instanceId);
+        const nextOpenAt = getNextOpenSlot(window);
+
+        res.json({
+            success: true,
+            message: 'Send window saved successfully',
+            window,
+            isOpen: nextOpenAt <= new Date(),
+            nextOpenAt: nextOpenAt > new Date() ? nextOpenAt : null
+        });
+    } catch (error) {
+        logger.error('Error in setInstanceSendWindow:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to save send window' });
+    }
+};
+
+// Remove the send window of an instance so it can send at any time
+export const deleteInstanceSendWindow = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const pool = await connectDB();
+
+        const [result] = await pool.query('DELETE FROM send_windows WHERE instance_id = ?', [instanceId]);
+        windowCache.delete(instanceId);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'No send window configured' });
+        }
+
+        res.json({ success: true, message: 'Send window removed' });
+    } catch (error) {
+        logger.error('Error in deleteInstanceSendWindow:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to remove send window' });
+    }
+};
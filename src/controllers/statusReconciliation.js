@@ -0,0 +1,207 @@
+// src/controllers/statusReconciliation.js
+
+import cron from 'node-cron';
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+import { emitInstanceEvent } from './instanceWebhooks.js';
+import { instances } from './qrcode.js';
+import { JOB_STATUS } from './sendJobs.js';
+import { CLAIM_TAKEOVER_MINUTES } from './sendQueue.js';
+import { applyBufferedReceipts, MESSAGE_STATUS } from './updateStatus.js';
+
+// WhatsApp replays the receipts an instance missed while offline once it reconnects, the pass for the instance waits for them
+const RECONCILE_AFTER_RECONNECT_MS = 30 * 1000;
+const DEFAULT_UNKNOWN_AFTER_HOURS = 48;
+// Rows marked unknown per query
+const UNKNOWN_BATCH_SIZE = 1000;
+// Sent messages without a receipt for this long are re-queried after a reconnect
+const STALE_AFTER_MINUTES = 10;
+// Chats whose history is requested per reconnect, and messages per chat
+const RESYNC_CHAT_LIMIT = 50;
+const RESYNC_MESSAGE_COUNT = 50;
+// Statuses of messages that reached WhatsApp and still wait for a receipt
+const AWAITING_RECEIPT = [MESSAGE_STATUS.PENDING, MESSAGE_STATUS.SENT];
+
+// Instances with a pass scheduled after their reconnect
+const reconnectTimers = new Map();
+
+// Function to get after how many hours a message WhatsApp never acknowledged becomes unknown
+const getUnknownAfterHours = () => {
+    const hours = parseInt(process.env.STATUS_UNKNOWN_AFTER_HOURS);
+    return hours > 0 ? hours : DEFAULT_UNKNOWN_AFTER_HOURS;
+};
+
+// Helper function to add a value to the message_status ENUM of media_messages, keeping its other values
+const addMessageStatus = async (pool, status) => {
+    const [columns] = await pool.query("SHOW COLUMNS FROM media_messages LIKE 'message_status'");
+    const column = columns[0];
+    if (!column || !column.Type.startsWith('enum(') || column.Type.includes(`'${status}'`)) return;
+
+    const type = `${column.Type.slice(0, -1)},'${status}')`;
+    const nullable = column.Null === 'YES' ? 'NULL' : 'NOT NULL';
+    const defaultValue = column.Default !== null ? ` DEFAULT ${pool.escape(column.Default)}` : '';
+    await pool.query(`ALTER TABLE media_messages MODIFY message_status ${type} ${nullable}${defaultValue}`);
+    logger.info(`Added ${status} to media_messages.message_status`);
+};
+
+// Initialize the unknown and cancelled message statuses, one after the other as each ALTER rewrites the whole ENUM
+(async () => {
+    try {
+        const pool = await connectDB();
+        await addMessageStatus(pool, MESSAGE_STATUS.UNKNOWN);
+        await addMessageStatus(pool, MESSAGE_STATUS.CANCELLED);
+        logger.info('media_messages status check completed');
+    } catch (error) {
+        logger.error('Error adding message statuses:', error);
+    }
+})();
+
+// Condition for rows left pending that nothing will send any more: no live claim and no send job that may still resume them.
+// Built on use, sendJobs.js and sendQueue.js import this module back through qrcode.js
+const abandonedPendingCondition = () => `message_status = '${MESSAGE_STATUS.PENDING}'
+    AND (claimed_by IS NULL OR claimed_at IS NULL OR claimed_at < NOW() - INTERVAL ${CLAIM_TAKEOVER_MINUTES} MINUTE)
+    AND (send_job_id IS NULL OR NOT EXISTS (
+        SELECT 1 FROM send_jobs WHERE send_jobs.id = media_messages.send_job_id
+        AND send_jobs.status IN ('${JOB_STATUS.RUNNING}', '${JOB_STATUS.INTERRUPTED}')
+    ))`;
+
+// Condition for rows that may still get a receipt or a send, past the configured age they become unknown
+const unresolvedCondition = () => `((message_status = '${MESSAGE_STATUS.SENT}' AND whatsapp_message_id IS NOT NULL) OR (${abandonedPendingCondition()}))`;
+
+// Function to mark messages past the configured age as unknown: sent ones that never got a receipt,
+// and pending ones that were never sent and are no longer claimed by the scheduler or a send job
+const markUnknownMessages = async () => {
+    const pool = await connectDB();
+    const hours = getUnknownAfterHours();
+    let marked = 0;
+
+    while (true) {
+        // Scheduled messages count from when they were due, not from when they were scheduled
+        const [rows] = await pool.query(
+            `SELECT id, instance_id, whatsapp_message_id, recipient FROM media_messages
+             WHERE ${unresolvedCondition()}
+               AND COALESCE(schedule_time, created_at) < NOW() - INTERVAL ? HOUR
+             LIMIT ?`,
+            [hours, UNKNOWN_BATCH_SIZE]
+        );
+        if (rows.length === 0) break;
+
+        // A receipt, a send or a claim may have come in since the select, only rows still unresolved change
+        await pool.query(
+            `UPDATE media_messages SET message_status = ? WHERE id IN (?) AND ${unresolvedCondition()}`,
+            [MESSAGE_STATUS.UNKNOWN, rows.map(row => row.id)]
+        );
+
+        rows.forEach(row => {
+            emitInstanceEvent(row.instance_id, 'message.status', {
+                id: row.id,
+                whatsappMessageId: row.whatsapp_message_id,
+                recipient: row.recipient,
+                status: MESSAGE_STATUS.UNKNOWN
+            });
+        });
+        marked += rows.length;
+        if (rows.length < UNKNOWN_BATCH_SIZE) break;
+    }
+
+    return marked;
+};
+
+// Function to ask the phone of a reconnected instance for the history of the chats with stale sent messages.
+// The statuses come back through messaging-history.set, which updateStatus.js applies. The phone returns messages
+// older than the newest one we know in the chat, so a stale message that is itself the newest is not covered
+const requestStaleMessageHistory = async (instanceId) => {
+    const instance = instances[instanceId];
+    if (instance?.status !== 'connected') return 0;
+
+    const pool = await connectDB();
+    const [chats] = await pool.query(
+        `SELECT recipient, MAX(id) AS newest_id FROM media_messages
+         WHERE instance_id = ? AND message_status IN (?) AND whatsapp_message_id IS NOT NULL
+           AND COALESCE(schedule_time, created_at) BETWEEN NOW() - INTERVAL ? HOUR AND NOW() - INTERVAL ? MINUTE
+         GROUP BY recipient
+         ORDER BY newest_id DESC
+         LIMIT ?`,
+        [instanceId, AWAITING_RECEIPT, getUnknownAfterHours(), STALE_AFTER_MINUTES, RESYNC_CHAT_LIMIT]
+    );
+
+    let requested = 0;
+    for (const { recipient } of chats) {
+        const remoteJid = `${String(recipient).replace(/[^\d]/g, '')}@s.whatsapp.net`;
+        try {
+            // Newest message of the chat either way, the history returned ends just before it
+            const [anchors] = await pool.query(
+                `(SELECT whatsapp_message_id, TRUE AS from_me, created_at AS sent_at FROM media_messages
+                  WHERE instance_id = ? AND recipient = ? AND whatsapp_message_id IS NOT NULL
+                  ORDER BY created_at DESC LIMIT 1)
+                 UNION ALL
+                 (SELECT whatsapp_message_id, FALSE AS from_me, message_timestamp AS sent_at FROM inbound_messages
+                  WHERE instance_id = ? AND remote_jid = ?
+                  ORDER BY message_timestamp DESC LIMIT 1)
+                 ORDER BY sent_at DESC
+                 LIMIT 1`,
+                [instanceId, recipient, instanceId, remoteJid]
+            );
+            if (anchors.length === 0) continue;
+
+            const anchor = anchors[0];
+            await instance.sock.fetchMessageHistory(
+                RESYNC_MESSAGE_COUNT,
+                { remoteJid, fromMe: Boolean(anchor.from_me), id: anchor.whatsapp_message_id },
+                new Date(anchor.sent_at).getTime()
+            );
+            requested++;
+        } catch (error) {
+            logger.error('Failed to request chat history for stale messages:', { instanceId, recipient, error: error.message });
+        }
+    }
+
+    return requested;
+};
+
+// Function to run one reconciliation pass, over every instance or only the one that reconnected
+const reconcileMessageStatuses = async (instanceId = null) => {
+    const applied = await applyBufferedReceipts(instanceId);
+    const markedUnknown = instanceId ? 0 : await markUnknownMessages();
+    const chatsRequeried = instanceId ? await requestStaleMessageHistory(instanceId) : 0;
+
+    if (applied > 0 || markedUnknown > 0 || chatsRequeried > 0) {
+        logger.info('Message statuses reconciled:', { instanceId, applied, markedUnknown, chatsRequeried });
+    }
+};
+
+// Function to reconcile the messages of an instance shortly after it reconnects, once per reconnect burst
+export const scheduleReconnectReconciliation = (instanceId) => {
+    clearTimeout(reconnectTimers.get(instanceId));
+
+    reconnectTimers.set(instanceId, setTimeout(async () => {
+        reconnectTimers.delete(instanceId);
+        try {
+            await reconcileMessageStatuses(instanceId);
+        } catch (error) {
+            logger.error('Error reconciling message statuses after reconnect:', { instanceId, error: error.message, stack: error.stack });
+        }
+    }, RECONCILE_AFTER_RECONNECT_MS));
+};
+
+// Initialize the message status reconciliation job
+export const initializeStatusReconciliation = () => {
+    logger.info('Initializing message status reconciliation...');
+
+    let isRunning = false;
+    const job = cron.schedule('*/5 * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            await reconcileMessageStatuses();
+        } catch (error) {
+            logger.error('Error in message status reconciliation:', { error: error.message, stack: error.stack });
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    job.start();
+    logger.info('Message status reconciliation initialized');
+};
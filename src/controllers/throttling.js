@@ -0,0 +1,293 @@
+// src/controllers/throttling.js
+
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+
+// Key of the profile used by instances without one of their own
+const DEFAULT_PROFILE_KEY = 'default';
+// Profiles are read before every send, so keep them in memory for a short while
+const CACHE_TTL_MS = 30000;
+
+// Built-in pacing, matches the original 2-2.5s between recipients
+const BUILT_IN_PROFILE = {
+    messagesPerMinute: 30,
+    jitterMinMs: 0,
+    jitterMaxMs: 500,
+    burstSize: 1,
+    cooldownAfter: null,
+    cooldownMs: 0
+};
+
+// Cache of profiles keyed by instance ID
+const profileCache = new Map();
+// Pacing state of each instance, shared by every send path
+const pacers = new Map();
+
+// Helper function to make sure the throttle_profiles table exists
+const checkThrottleProfilesTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM throttle_profiles LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating throttle_profiles table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS throttle_profiles (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    messages_per_minute INT NOT NULL,
+                    jitter_min_ms INT NOT NULL DEFAULT 0,
+                    jitter_max_ms INT NOT NULL DEFAULT 0,
+                    burst_size INT NOT NULL DEFAULT 1,
+                    cooldown_after INT NULL,
+                    cooldown_ms INT NOT NULL DEFAULT 0,
+                    updated_by VARCHAR(255) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_instance (instance_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('throttle_profiles table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize throttle_profiles table
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkThrottleProfilesTable(pool);
+        logger.info('throttle_profiles table check completed');
+    } catch (error) {
+        logger.error('Error initializing throttle_profiles table:', error);
+    }
+})();
+
+// Function to map a throttle_profiles row to a profile
+const fromRow = (row) => ({
+    instanceId: row.instance_id,
+    messagesPerMinute: row.messages_per_minute,
+    jitterMinMs: row.jitter_min_ms,
+    jitterMaxMs: row.jitter_max_ms,
+    burstSize: row.burst_size,
+    cooldownAfter: row.cooldown_after,
+    cooldownMs: row.cooldown_ms,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+});
+
+// Function to validate a profile from a request body, returns an error message or null
+const validateProfile = (profile) => {
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+    const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+    if (!isPositiveInteger(profile.messagesPerMinute)) return 'messagesPerMinute must be a positive integer';
+    if (!isNonNegativeInteger(profile.jitterMinMs) || !isNonNegativeInteger(profile.jitterMaxMs)) {
+        return 'jitterMinMs and jitterMaxMs must be non-negative integers';
+    }
+    if (profile.jitterMinMs > profile.jitterMaxMs) return 'jitterMinMs cannot be greater than jitterMaxMs';
+    if (!isPositiveInteger(profile.burstSize)) return 'burstSize must be a positive integer';
+    if (profile.cooldownAfter !== null && !isPositiveInteger(profile.cooldownAfter)) {
+        return 'cooldownAfter must be a positive integer or null';
+    }
+    if (!isNonNegativeInteger(profile.cooldownMs)) return 'cooldownMs must be a non-negative integer';
+    return null;
+};
+
+// Function to get the profile that applies to an instance: its own, the default one or the built-in one
+export const getThrottleProfile = async (instanceId) => {
+    const cached = profileCache.get(instanceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.profile;
+    }
+
+    let profile = BUILT_IN_PROFILE;
+    try {
+        const pool = await connectDB();
+        const [rows] = await pool.query(
+            'SELECT * FROM throttle_profiles WHERE instance_id IN (?, ?) ORDER BY instance_id = ? DESC LIMIT 1',
+            [instanceId, DEFAULT_PROFILE_KEY, instanceId]
+        );
+        if (rows.length > 0) {
+            profile = fromRow(rows[0]);
+        }
+    } catch (error) {
+        // Fall back to the built-in pacing rather than sending without any
+        logger.error('Error reading throttle profile:', { instanceId, error: error.message });
+    }
+
+    profileCache.set(instanceId, { profile, expiresAt: Date.now() + CACHE_TTL_MS });
+    return profile;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Function to pace one send of an instance, resolves when the message may go out.
+// Tokens refill at messagesPerMinute up to burstSize, every cooldownAfter messages
+// the instance rests for cooldownMs, and a random jitter is added to every send
+const pace = async (instanceId, state) => {
+    const profile = await getThrottleProfile(instanceId);
+    const intervalMs = 60000 / profile.messagesPerMinute;
+
+    if (profile.cooldownAfter && state.sentSinceCooldown >= profile.cooldownAfter) {
+        logger.info(`Cooling down for ${profile.cooldownMs / 1000} seconds after ${state.sentSinceCooldown} messages`, { instanceId });
+        await sleep(profile.cooldownMs);
+        state.sentSinceCooldown = 0;
+    }
+
+    const refill = () => {
+        const now = Date.now();
+        // A new pacer starts with a full burst
+        state.tokens = state.tokens === null
+            ? profile.burstSize
+            : Math.min(profile.burstSize, state.tokens + (now - state.lastRefill) / intervalMs);
+        state.lastRefill = now;
+    };
+
+    refill();
+    if (state.tokens < 1) {
+        await sleep((1 - state.tokens) * intervalMs);
+        refill();
+    }
+    state.tokens -= 1;
+
+    const jitterMs = profile.jitterMinMs + Math.floor(Math.random() * (profile.jitterMaxMs - profile.jitterMinMs + 1));
+    if (jitterMs > 0) {
+        await sleep(jitterMs);
+    }
+    state.sentSinceCooldown++;
+};
+
+// Function to wait until an instance may send its next message, call it right before each send.
+// Sends of the same instance queue behind each other, whichever path they come from
+export const waitForSendSlot = (instanceId) => {
+    if (!pacers.has(instanceId)) {
+        pacers.set(instanceId, {
+            tokens: null,
+            lastRefill: Date.now(),
+            sentSinceCooldown: 0,
+            queue: Promise.resolve()
+        });
+    }
+
+    const state = pacers.get(instanceId);
+    const slot = state.queue.then(() => pace(instanceId, state));
+    // A failed wait must not block the sends queued behind it
+    state.queue = slot.catch(() => {});
+    return slot;
+};
+
+// List every stored profile and the built-in fallback
+export const listThrottleProfiles = async (req, res) => {
+    try {
+        const pool = await connectDB();
+        await checkThrottleProfilesTable(pool);
+
+        const [rows] = await pool.query('SELECT * FROM throttle_profiles ORDER BY instance_id = ? DESC, instance_id ASC', [DEFAULT_PROFILE_KEY]);
+
+        res.json({ success: true, builtIn: BUILT_IN_PROFILE, profiles: rows.map(fromRow) });
+    } catch (error) {
+        logger.error('Error in listThrottleProfiles:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch throttle profiles' });
+    }
+};
+
+// Get the profile in effect for an instance, or the default profile for "default"
+export const getInstanceThrottleProfile = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const profile = await getThrottleProfile(instanceId);
+
+        res.json({
+            success: true,
+            profile,
+            source: profile === BUILT_IN_PROFILE ? 'built-in' : (profile.instanceId === instanceId ? 'instance' : DEFAULT_PROFILE_KEY)
+        });
+    } catch (error) {
+        logger.error('Error in getInstanceThrottleProfile:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch throttle profile' });
+    }
+};
+
+// Create or replace the profile of an instance ("default" for all instances), applies from the next send
+export const setInstanceThrottleProfile = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const current = await getThrottleProfile(instanceId);
+        const profile = {
+            messagesPerMinute: req.body.messagesPerMinute ?? current.messagesPerMinute,
+            jitterMinMs: req.body.jitterMinMs ?? current.jitterMinMs,
+            jitterMaxMs: req.body.jitterMaxMs ?? current.jitterMaxMs,
+            burstSize: req.body.burstSize ?? current.burstSize,
+            cooldownAfter: req.body.cooldownAfter !== undefined ? req.body.cooldownAfter : current.cooldownAfter,
+            cooldownMs: req.body.cooldownMs ?? current.cooldownMs
+        };
+
+        const validationError = validateProfile(profile);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const pool = await connectDB();
+        await checkThrottleProfilesTable(pool);
+
+        await pool.query(
+            `INSERT INTO throttle_profiles
+                (instance_id, messages_per_minute, jitter_min_ms, jitter_max_ms, burst_size, cooldown_after, cooldown_ms, updated_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE messages_per_minute = VALUES(messages_per_minute), jitter_min_ms = VALUES(jitter_min_ms),
+                jitter_max_ms = VALUES(jitter_max_ms), burst_size = VALUES(burst_size), cooldown_after = VALUES(cooldown_after),
+                cooldown_ms = VALUES(cooldown_ms), updated_by = VALUES(updated_by)`,
+            [
+                instanceId,
+                profile.messagesPerMinute,
+                profile.jitterMinMs,
+                profile.jitterMaxMs,
+                profile.burstSize,
+                profile.cooldownAfter,
+                profile.cooldownMs,
+                req.user.email
+            ]
+        );
+
+        // The default profile applies to every instance, so drop all cached profiles
+        if (instanceId === DEFAULT_PROFILE_KEY) {
+            profileCache.clear();
+        } else {
+            profileCache.delete(instanceId);
+        }
+
+        logger.info('Throttle profile saved:', { instanceId, profile, updatedBy: req.user.email });
+        res.json({ success: true, message: 'Throttle profile saved successfully', profile: await getThrottleProfile(instanceId) });
+    } catch (error) {
+        logger.error('Error in setInstanceThrottleProfile:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to save throttle profile' });
+    }
+};
+
+// Remove the profile of an instance so it falls back to the default one
+export const deleteInstanceThrottleProfile = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const pool = await connectDB();
+
+        const [result] = await pool.query('DELETE FROM throttle_profiles WHERE instance_id = ?', [instanceId]);
+
+        if (instanceId === DEFAULT_PROFILE_KEY) {
+            profileCache.clear();
+        } else {
+            profileCache.delete(instanceId);
+        }
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Throttle profile not found' });
+        }
+
+        res.json({ success: true, message: 'Throttle profile removed' });
+    } catch (error) {
+        logger.error('Error in deleteInstanceThrottleProfile:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to remove throttle profile' });
+    }
+};
@@ -0,0 +1,114 @@
+// src/controllers/timezones.js
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+
+// Function to get the timezone used when a recipient's timezone cannot be worked out, SCHEDULER_TIMEZONE or India
+export const getDefaultTimeZone = () => process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+
+// Main timezone of each calling country, countries spanning several zones use their most populous one
+// (a timezone column in the uploaded list overrides this)
+const COUNTRY_TIMEZONES = {
+    AE: 'Asia/Dubai', AF: 'Asia/Kabul', AR: 'America/Argentina/Buenos_Aires', AT: 'Europe/Vienna',
+    AU: 'Australia/Sydney', BD: 'Asia/Dhaka', BE: 'Europe/Brussels', BH: 'Asia/Bahrain',
+    BR: 'America/Sao_Paulo', CA: 'America/Toronto', CH: 'Europe/Zurich', CL: 'America/Santiago',
+    CN: 'Asia/Shanghai', CO: 'America/Bogota', CZ: 'Europe/Prague', DE: 'Europe/Berlin',
+    DK: 'Europe/Copenhagen', DZ: 'Africa/Algiers', EC: 'America/Guayaquil', EG: 'Africa/Cairo',
+    ES: 'Europe/Madrid', ET: 'Africa/Addis_Ababa', FI: 'Europe/Helsinki', FR: 'Europe/Paris',
+    GB: 'Europe/London', GH: 'Africa/Accra', GR: 'Europe/Athens', HK: 'Asia/Hong_Kong',
+    HU: 'Europe/Budapest', ID: 'Asia/Jakarta', IE: 'Europe/Dublin', IL: 'Asia/Jerusalem',
+    IN: 'Asia/Kolkata', IQ: 'Asia/Baghdad', IR: 'Asia/Tehran', IT: 'Europe/Rome',
+    JO: 'Asia/Amman', JP: 'Asia/Tokyo', KE: 'Africa/Nairobi', KH: 'Asia/Phnom_Penh',
+    KR: 'Asia/Seoul', KW: 'Asia/Kuwait', KZ: 'Asia/Almaty', LB: 'Asia/Beirut',
+    LK: 'Asia/Colombo', MA: 'Africa/Casablanca', MM: 'Asia/Yangon', MX: 'America/Mexico_City',
+    MY: 'Asia/Kuala_Lumpur', NG: 'Africa/Lagos', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo',
+    NP: 'Asia/Kathmandu', NZ: 'Pacific/Auckland', OM: 'Asia/Muscat', PE: 'America/Lima',
+    PH: 'Asia/Manila', PK: 'Asia/Karachi', PL: 'Europe/Warsaw', PT: 'Europe/Lisbon',
+    QA: 'Asia/Qatar', RO: 'Europe/Bucharest', RU: 'Europe/Moscow', SA: 'Asia/Riyadh',
+    SE: 'Europe/Stockholm', SG: 'Asia/Singapore', TH: 'Asia/Bangkok', TN: 'Africa/Tunis',
+    TR: 'Europe/Istanbul', TW: 'Asia/Taipei', TZ: 'Africa/Dar_es_Salaam', UA: 'Europe/Kiev',
+    UG: 'Africa/Kampala', US: 'America/New_York', UZ: 'Asia/Tashkent', VE: 'America/Caracas',
+    VN: 'Asia/Ho_Chi_Minh', ZA: 'Africa/Johannesburg'
+};
+
+// Function to check that a timezone name is known to Intl (e.g. Asia/Kolkata)
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Function to get the offset of a timezone from UTC at a given instant, in milliseconds
+export const getTimeZoneOffsetMs = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value);
+    const wallClockAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Function to get a Date whose UTC fields are the wall-clock time of `date` in `timeZone`
+export const toZonedWallClock = (date, timeZone) => {
+    return new Date(date.getTime() + getTimeZoneOffsetMs(date, timeZone));
+};
+
+// Function to turn a wall-clock time (UTC fields of `wallClock`) in `timeZone` back into a real instant
+export const fromZonedWallClock = (wallClock, timeZone) => {
+    const guess = new Date(wallClock.getTime() - getTimeZoneOffsetMs(wallClock, timeZone));
+    // Second pass handles wall-clock times on the other side of a DST change
+    return new Date(wallClock.getTime() - getTimeZoneOffsetMs(guess, timeZone));
+};
+
+// Function to parse a wall-clock time without offset (e.g. 2024-05-01T10:00), returns null when invalid
+export const parseWallClock = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    return isNaN(wallClock.getTime()) ? null : wallClock;
+};
+
+// Function to guess the timezone of a phone number from its calling country
+export const getTimeZoneForNumber = (phoneNumber) => {
+    const digits = String(phoneNumber).replace(/[^\d]/g, '');
+    const country = parsePhoneNumberFromString(`+${digits}`)?.country;
+    return COUNTRY_TIMEZONES[country] || null;
+};
+
+// Function to get a recipient's timezone: the phoneList timezone column first, then the number's country
+export const getRecipientTimeZone = async (phoneNumber, instanceId) => {
+    const cleanPhoneNumber = String(phoneNumber).replace(/^\+/, '').trim();
+
+    try {
+        const connection = await connectDB();
+        // Uploaded lists store numbers with a leading +, older rows without
+        const [rows] = await connection.query(
+            'SELECT timezone FROM phoneList WHERE phone_numbers IN (?, ?) AND instance_id = ? AND timezone IS NOT NULL LIMIT 1',
+            [cleanPhoneNumber, `+${cleanPhoneNumber}`, instanceId]
+        );
+
+        if (rows.length > 0 && isValidTimeZone(rows[0].timezone)) {
+            return rows[0].timezone;
+        }
+    } catch (error) {
+        logger.warn('Could not read recipient timezone from phoneList:', { phoneNumber, error: error.message });
+    }
+
+    return getTimeZoneForNumber(cleanPhoneNumber) || getDefaultTimeZone();
+};
@@ -2,6 +2,7 @@
 
 import connectDB from '../db/index.js';
 import { logger } from '../logger.js';
+import { emitInstanceEvent } from './instanceWebhooks.js';
 
 // Valid ENUM values for `message_status`
 const MESSAGE_STATUS = {
@@ -9,18 +10,72 @@ const MESSAGE_STATUS = {
     SENT: 'sent',
     DELIVERED: 'delivered',
     READ: 'read',
-    FAILED: 'failed'
+    FAILED: 'failed',
+    // Reached WhatsApp but no receipt came in before the reconciliation job gave up on it
+    UNKNOWN: 'unknown',
+    // Scheduled message cancelled before it was sent
+    CANCELLED: 'cancelled'
 };
 
+// Order of the statuses a message goes through, late receipts never move a message backwards
+const STATUS_RANK = {
+    [MESSAGE_STATUS.PENDING]: 0,
+    [MESSAGE_STATUS.UNKNOWN]: 1,
+    [MESSAGE_STATUS.SENT]: 2,
+    [MESSAGE_STATUS.DELIVERED]: 3,
+    [MESSAGE_STATUS.READ]: 4
+};
+
+// Receipts for messages still unknown after this long are dropped, they were sent from somewhere else
+const UNMATCHED_RECEIPT_HOURS = 24;
+
+// Helper function to make sure the unmatched_receipts table exists
+const checkUnmatchedReceiptsTable = async (pool) => {
+    try {
+        await pool.query('SELECT 1 FROM unmatched_receipts LIMIT 1');
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            logger.info('Creating unmatched_receipts table...');
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS unmatched_receipts (
+                    id INT PRIMARY KEY AUTO_INCREMENT,
+                    instance_id VARCHAR(255) NOT NULL,
+                    whatsapp_message_id VARCHAR(255) NOT NULL,
+                    status VARCHAR(20) NOT NULL,
+                    received_at DATETIME NOT NULL,
+                    UNIQUE KEY unique_receipt (instance_id, whatsapp_message_id, status),
+                    INDEX idx_received_at (received_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            logger.info('unmatched_receipts table created successfully');
+            return true;
+        }
+        throw error;
+    }
+};
+
+// Initialize unmatched_receipts table
+(async () => {
+    try {
+        const pool = await connectDB();
+        await checkUnmatchedReceiptsTable(pool);
+        logger.info('unmatched_receipts table check completed');
+    } catch (error) {
+        logger.error('Error initializing unmatched_receipts table:', error);
+    }
+})();
+
 // Function to get database ID from WhatsApp message ID
 const getDatabaseId = async (instanceId, messageId) => {
     try {
         const connection = await connectDB();
-        const query = `SELECT id FROM media_messages WHERE instance_id = ? AND whatsapp_message_id = ?`;
+        const query = `SELECT id, message_status FROM media_messages WHERE instance_id = ? AND whatsapp_message_id = ?`;
         const [rows] = await connection.query(query, [instanceId, messageId]);
         
         const found = rows.length > 0;
         const dbId = found ? rows[0].id : null;
+        const currentStatus = found ? rows[0].message_status : null;
         
         logger.info('Database lookup result:', {
             instanceId,
@@ -30,15 +85,137 @@ const getDatabaseId = async (instanceId, messageId) => {
             timestamp: new Date().toISOString()
         });
         
-        return { found, dbId };
+        return { found, dbId, currentStatus };
     } catch (error) {
         logger.error('Failed to get database ID:', error);
-        return { found: false, dbId: null };
+        return { found: false, dbId: null, currentStatus: null };
+    }
+};
+
+// Function to keep a receipt for a message not found in the database, e.g. one that arrived before
+// the WhatsApp ID of the message was saved, so the reconciliation job can apply it later
+const bufferUnmatchedReceipt = async (instanceId, messageId, status) => {
+    try {
+        const pool = await connectDB();
+        await pool.query(
+            'INSERT IGNORE INTO unmatched_receipts (instance_id, whatsapp_message_id, status, received_at) VALUES (?, ?, ?, NOW())',
+            [instanceId, messageId, status]
+        );
+    } catch (error) {
+        logger.error('Failed to buffer unmatched receipt:', { instanceId, messageId, status, error: error.message });
+    }
+};
+
+// Function to map a Baileys message status to ours
+const toMessageStatus = (status) => {
+    switch (status) {
+        case 'PENDING':
+        case 1:
+            return MESSAGE_STATUS.PENDING;
+        case 3: // Delivered
+            return MESSAGE_STATUS.DELIVERED;
+        case 4: // Read
+            return MESSAGE_STATUS.READ;
+        case -1: // Failed
+            return MESSAGE_STATUS.FAILED;
+        default:
+            return MESSAGE_STATUS.SENT;
+    }
+};
+
+// Function to tell whether a receipt moves a message forward, failures only apply to messages not yet delivered
+const isStatusUpgrade = (currentStatus, newStatus) => {
+    if (newStatus === MESSAGE_STATUS.FAILED) {
+        return (STATUS_RANK[currentStatus] ?? 0) < STATUS_RANK[MESSAGE_STATUS.DELIVERED];
+    }
+    if (currentStatus === MESSAGE_STATUS.FAILED || currentStatus === MESSAGE_STATUS.CANCELLED) return false;
+    return (STATUS_RANK[newStatus] ?? 0) > (STATUS_RANK[currentStatus] ?? 0);
+};
+
+// Function to apply buffered receipts whose message is now in the database, oldest first.
+// Receipts left unmatched for too long are dropped. Returns the number of statuses updated
+export const applyBufferedReceipts = async (instanceId = null) => {
+    const pool = await connectDB();
+    await checkUnmatchedReceiptsTable(pool);
+
+    const [receipts] = await pool.query(
+        `SELECT u.id, u.status, u.received_at, m.id AS message_id
+         FROM unmatched_receipts u
+         JOIN media_messages m ON m.instance_id = u.instance_id AND m.whatsapp_message_id = u.whatsapp_message_id
+         ${instanceId ? 'WHERE u.instance_id = ?' : ''}
+         ORDER BY u.received_at ASC, u.id ASC
+         LIMIT 1000`,
+        instanceId ? [instanceId] : []
+    );
+
+    let applied = 0;
+    for (const receipt of receipts) {
+        if (await updateMessageStatusInDB(receipt.message_id, receipt.status, receipt.received_at)) {
+            applied++;
+        }
+        await pool.query('DELETE FROM unmatched_receipts WHERE id = ?', [receipt.id]);
+    }
+
+    await pool.query(
+        'DELETE FROM unmatched_receipts WHERE received_at < NOW() - INTERVAL ? HOUR',
+        [UNMATCHED_RECEIPT_HOURS]
+    );
+
+    return applied;
+};
+
+// Function to work out the status and receipt time of one of our messages from history sync,
+// the recipient's receipt timestamps are more precise than the status alone
+const getHistoryStatus = (msg) => {
+    const receipt = (msg.userReceipt || [])[0];
+    const readTimestamp = receipt?.readTimestamp || receipt?.playedTimestamp;
+    if (readTimestamp) {
+        return { status: MESSAGE_STATUS.READ, at: new Date(Number(readTimestamp) * 1000) };
+    }
+    if (receipt?.receiptTimestamp) {
+        return { status: MESSAGE_STATUS.DELIVERED, at: new Date(Number(receipt.receiptTimestamp) * 1000) };
+    }
+    if (msg.status === undefined || msg.status === null) return null;
+
+    const status = toMessageStatus(msg.status);
+    return status === MESSAGE_STATUS.PENDING ? null : { status, at: new Date() };
+};
+
+// Function to apply the statuses of our own messages found in synced history. Returns the number of statuses updated
+const applyHistoryStatuses = async (instanceId, messages) => {
+    const statuses = new Map();
+    messages.forEach(msg => {
+        if (!msg.key?.fromMe || !msg.key.id) return;
+        const historyStatus = getHistoryStatus(msg);
+        if (historyStatus) statuses.set(msg.key.id, historyStatus);
+    });
+    if (statuses.size === 0) return 0;
+
+    const pool = await connectDB();
+    const ids = [...statuses.keys()];
+    let applied = 0;
+    for (let i = 0; i < ids.length; i += 500) {
+        const [rows] = await pool.query(
+            'SELECT id, whatsapp_message_id, message_status FROM media_messages WHERE instance_id = ? AND whatsapp_message_id IN (?)',
+            [instanceId, ids.slice(i, i + 500)]
+        );
+        for (const row of rows) {
+            const { status, at } = statuses.get(row.whatsapp_message_id);
+            if (isStatusUpgrade(row.message_status, status) && await updateMessageStatusInDB(row.id, status, at)) {
+                applied++;
+            }
+        }
+    }
+
+    if (applied > 0) {
+        logger.info('Message statuses updated from history sync:', { instanceId, applied });
     }
+    return applied;
 };
 
-// Function to update message status in the database
-export const updateMessageStatusInDB = async (messageId, newStatus) => {
+// Function to update message status in the database, receipt times default to now.
+// Returns false when the status would move the message backwards and was ignored
+export const updateMessageStatusInDB = async (messageId, newStatus, receivedAt = new Date()) => {
     // Validate status
     if (!Object.values(MESSAGE_STATUS).includes(newStatus)) {
         logger.warn(`Invalid message status: ${newStatus}, defaulting to 'sent'`);
@@ -51,18 +228,25 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
-        // First, get message details
+        // First, get message details, locked so receipts of the same message apply one after the other
         const [messageRows] = await connection.query(
-            'SELECT whatsapp_message_id, instance_id, recipient, created_at FROM media_messages WHERE id = ?',
+            'SELECT whatsapp_message_id, instance_id, recipient, created_at, message_status FROM media_messages WHERE id = ? FOR UPDATE',
             [messageId]
         );
 
         if (messageRows.length === 0) {
             logger.warn(`No message found with ID ${messageId}`);
-            return;
+            await connection.rollback();
+            return false;
         }
 
-        const { whatsapp_message_id, instance_id, recipient, created_at } = messageRows[0];
+        const { whatsapp_message_id, instance_id, recipient, created_at, message_status } = messageRows[0];
+
+        // Late or out of order receipts never move a message backwards, e.g. read to delivered
+        if (!isStatusUpgrade(message_status, newStatus)) {
+            await connection.rollback();
+            return false;
+        }
 
         // Update status in media_messages
         const updateQuery = `UPDATE media_messages SET message_status = ? WHERE id = ?`;
@@ -80,15 +264,15 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
                         ELSE sent_time
                     END,
                     delivered_time = CASE 
-                        WHEN ? = 'delivered' AND delivered_time IS NULL THEN CURRENT_TIMESTAMP()
+                        WHEN ? = 'delivered' AND delivered_time IS NULL THEN ?
                         ELSE delivered_time
                     END,
                     read_time = CASE 
-                        WHEN ? = 'read' AND read_time IS NULL THEN CURRENT_TIMESTAMP()
+                        WHEN ? = 'read' AND read_time IS NULL THEN ?
                         ELSE read_time
                     END,
                     failed_time = CASE 
-                        WHEN ? = 'failed' AND failed_time IS NULL THEN CURRENT_TIMESTAMP()
+                        WHEN ? = 'failed' AND failed_time IS NULL THEN ?
                         ELSE failed_time
                     END
             `;
@@ -99,13 +283,13 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
                 whatsapp_message_id,
                 created_at, // initiated_time
                 newStatus === 'sent' ? created_at : null, // sent_time
-                newStatus === 'delivered' ? new Date() : null, // delivered_time
-                newStatus === 'read' ? new Date() : null, // read_time
-                newStatus === 'failed' ? new Date() : null, // failed_time
+                newStatus === 'delivered' ? receivedAt : null, // delivered_time
+                newStatus === 'read' ? receivedAt : null, // read_time
+                newStatus === 'failed' ? receivedAt : null, // failed_time
                 newStatus, // For sent check
-                newStatus, // For delivered check
-                newStatus, // For read check
-                newStatus  // For failed check
+                newStatus, receivedAt, // For delivered check
+                newStatus, receivedAt, // For read check
+                newStatus, receivedAt  // For failed check
             ]);
 
             logger.info(`Message status and report times updated successfully`, {
@@ -118,6 +302,17 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
         }
 
         await connection.commit();
+
+        // Notify registered webhooks of the status change
+        if (result.affectedRows > 0) {
+            emitInstanceEvent(instance_id, 'message.status', {
+                id: messageId,
+                whatsappMessageId: whatsapp_message_id,
+                recipient,
+                status: newStatus
+            });
+        }
+        return result.affectedRows > 0;
     } catch (error) {
         if (connection) {
             await connection.rollback();
@@ -168,40 +363,34 @@ export const setupMessageStatusTracking = (sock, instanceId) => {
                     timestamp: new Date().toISOString()
                 });
 
+                const newStatus = toMessageStatus(update.update.status);
+
                 // Get database ID for this WhatsApp message
-                const { found, dbId } = await getDatabaseId(instanceId, messageId);
+                const { found, dbId, currentStatus } = await getDatabaseId(instanceId, messageId);
                 
                 if (!found) {
-                    logger.warn('Message not found in database:', {
+                    logger.warn('Message not found in database, buffering the receipt:', {
                         instanceId,
                         messageId,
+                        newStatus,
                         timestamp: new Date().toISOString()
                     });
+                    if (newStatus !== MESSAGE_STATUS.PENDING) {
+                        await bufferUnmatchedReceipt(instanceId, messageId, newStatus);
+                    }
                     continue;
                 }
 
-                let newStatus;
-                const currentTime = new Date();
-                switch (update.update.status) {
-                    case 'PENDING':
-                    case 1:
-                        newStatus = MESSAGE_STATUS.PENDING;
-                        break;
-                    case 3: // Delivered
-                        newStatus = MESSAGE_STATUS.DELIVERED;
-                        // Add a small delay before updating to ensure proper sequence
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                        break;
-                    case 4: // Read
-                        newStatus = MESSAGE_STATUS.READ;
-                        // Add a small delay before updating to ensure proper sequence
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                        break;
-                    case -1: // Failed
-                        newStatus = MESSAGE_STATUS.FAILED;
-                        break;
-                    default:
-                        newStatus = MESSAGE_STATUS.SENT;
+                if (!isStatusUpgrade(currentStatus, newStatus)) {
+                    logger.info('Ignoring status update older than the current status:', { messageId: dbId, currentStatus, newStatus });
+                    continue;
+                }
+
+                // Add a small delay before updating to ensure proper sequence
+                if (newStatus === MESSAGE_STATUS.DELIVERED) {
+                    await new Promise(resolve => setTimeout(resolve, 500));
+                } else if (newStatus === MESSAGE_STATUS.READ) {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
                 }
 
                 // Update status in database
@@ -224,24 +413,36 @@ export const setupMessageStatusTracking = (sock, instanceId) => {
             if (!update.key) continue;
             
             const messageId = update.key.id;
-            const { found, dbId } = await getDatabaseId(instanceId, messageId);
+            const newStatus = update.receipt?.type === 'read' ?
+                MESSAGE_STATUS.READ : MESSAGE_STATUS.DELIVERED;
+            const { found, dbId, currentStatus } = await getDatabaseId(instanceId, messageId);
             
             if (!found) {
-                logger.warn('Message not found for receipt update:', {
+                logger.warn('Message not found for receipt update, buffering the receipt:', {
                     instanceId,
                     messageId
                 });
+                if (update.receipt) {
+                    await bufferUnmatchedReceipt(instanceId, messageId, newStatus);
+                }
                 continue;
             }
 
-            if (update.receipt) {
-                const newStatus = update.receipt.type === 'read' ? 
-                    MESSAGE_STATUS.READ : MESSAGE_STATUS.DELIVERED;
-                
+            if (update.receipt && isStatusUpgrade(currentStatus, newStatus)) {
                 await updateMessageStatusInDB(dbId, newStatus);
             }
         }
     });
+
+    // History synced from the phone carries the receipts of our own messages, including the chats
+    // the reconciliation job asks for after a reconnect
+    sock.ev.on('messaging-history.set', async ({ messages }) => {
+        try {
+            await applyHistoryStatuses(instanceId, messages || []);
+        } catch (error) {
+            logger.error('Failed to apply statuses from history sync:', { instanceId, error: error.message, stack: error.stack });
+        }
+    });
 };
 
 // Export MESSAGE_STATUS for use in other files
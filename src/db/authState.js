@@ -0,0 +1,225 @@
+// src/db/authState.js
+
+import fs from 'fs';
+import path from 'path';
+import { BufferJSON, initAuthCreds, proto, useMultiFileAuthState } from '@whiskeysockets/baileys';
+import connectDB from './index.js';
+import { logger } from '../logger.js';
+
+// Function to get where Baileys credentials and keys are kept: 'file' (users/instance_<id> folders) or 'mysql'
+export const getAuthStateStore = () => (process.env.AUTH_STATE_STORE === 'mysql' ? 'mysql' : 'file');
+
+const USERS_DIR = path.join(process.cwd(), 'users');
+
+// Function to get the auth folder of an instance
+const getAuthFolder = (instanceId) => path.join(USERS_DIR, `instance_${instanceId}`);
+
+// Keys are stored under the file names useMultiFileAuthState uses, so folders migrate as they are
+const toDataKey = (key) => key.replace(/\//g, '__').replace(/:/g, '-');
+
+// Helper function to make sure the whatsapp_auth_state table exists
+const checkAuthStateTable = async (pool) => {
+  try {
+    await pool.query('SELECT 1 FROM whatsapp_auth_state LIMIT 1');
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      logger.info('Creating whatsapp_auth_state table...');
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS whatsapp_auth_state (
+          instance_id VARCHAR(255) NOT NULL,
+          data_key VARCHAR(255) NOT NULL,
+          value LONGTEXT NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (instance_id, data_key)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `);
+      logger.info('whatsapp_auth_state table created successfully');
+      return true;
+    }
+    throw error;
+  }
+};
+
+// Auth state of an instance kept in MySQL, a drop-in replacement for useMultiFileAuthState
+export const useMySQLAuthState = async (instanceId) => {
+  const pool = await connectDB();
+  await checkAuthStateTable(pool);
+
+  const readData = async (keys) => {
+    const [rows] = await pool.query(
+      'SELECT data_key, value FROM whatsapp_auth_state WHERE instance_id = ? AND data_key IN (?)',
+      [instanceId, keys]
+    );
+    return new Map(rows.map(row => [row.data_key, JSON.parse(row.value, BufferJSON.reviver)]));
+  };
+
+  const writeData = async (entries) => {
+    if (entries.length === 0) return;
+    await pool.query(
+      'INSERT INTO whatsapp_auth_state (instance_id, data_key, value) VALUES ? ON DUPLICATE KEY UPDATE value = VALUES(value)',
+      [entries.map(([key, value]) => [instanceId, key, JSON.stringify(value, BufferJSON.replacer)])]
+    );
+  };
+
+  const removeData = async (keys) => {
+    if (keys.length === 0) return;
+    await pool.query(
+      'DELETE FROM whatsapp_auth_state WHERE instance_id = ? AND data_key IN (?)',
+      [instanceId, keys]
+    );
+  };
+
+  const creds = (await readData(['creds'])).get('creds') || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const keys = ids.map(id => toDataKey(`${type}-${id}`));
+          const stored = keys.length > 0 ? await readData(keys) : new Map();
+
+          const data = {};
+          ids.forEach((id, index) => {
+            let value = stored.get(keys[index]);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          });
+          return data;
+        },
+        set: async (data) => {
+          const writes = [];
+          const removals = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const key = toDataKey(`${category}-${id}`);
+              const value = data[category][id];
+              if (value) {
+                writes.push([key, value]);
+              } else {
+                removals.push(key);
+              }
+            }
+          }
+          await writeData(writes);
+          await removeData(removals);
+        }
+      }
+    },
+    saveCreds: () => writeData([['creds', creds]])
+  };
+};
+
+// Function to load the auth state of an instance from the configured store
+export const useInstanceAuthState = async (instanceId) => {
+  if (getAuthStateStore() === 'mysql') {
+    return useMySQLAuthState(instanceId);
+  }
+
+  const authFolder = getAuthFolder(instanceId);
+  if (!fs.existsSync(USERS_DIR)) fs.mkdirSync(USERS_DIR);
+  if (!fs.existsSync(authFolder)) fs.mkdirSync(authFolder);
+
+  return useMultiFileAuthState(authFolder);
+};
+
+// Function to delete the auth state of an instance from both stores, so it has to be linked again
+export const removeInstanceAuthState = async (instanceId) => {
+  const authFolder = getAuthFolder(instanceId);
+  if (fs.existsSync(authFolder)) {
+    fs.rmSync(authFolder, { recursive: true, force: true });
+    logger.info(`Auth folder cleaned up: ${authFolder}`);
+  }
+
+  const pool = await connectDB();
+  await checkAuthStateTable(pool);
+  await pool.query('DELETE FROM whatsapp_auth_state WHERE instance_id = ?', [instanceId]);
+};
+
+// Function to tell whether saved credentials belong to a linked phone, WhatsApp sets `me` once it is
+const isPaired = (creds) => Boolean(creds?.me?.id);
+
+// Function to list the instances with a linked session in the configured store
+export const getPairedInstanceIds = async () => {
+  if (getAuthStateStore() === 'mysql') {
+    const pool = await connectDB();
+    await checkAuthStateTable(pool);
+    const [rows] = await pool.query("SELECT instance_id, value FROM whatsapp_auth_state WHERE data_key = 'creds'");
+    return rows.filter(row => isPaired(JSON.parse(row.value))).map(row => row.instance_id);
+  }
+
+  if (!fs.existsSync(USERS_DIR)) return [];
+  const entries = await fs.promises.readdir(USERS_DIR, { withFileTypes: true });
+
+  const paired = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !entry.name.startsWith('instance_')) continue;
+    try {
+      const creds = JSON.parse(await fs.promises.readFile(path.join(USERS_DIR, entry.name, 'creds.json'), 'utf8'));
+      if (isPaired(creds)) paired.push(entry.name.slice('instance_'.length));
+    } catch (error) {
+      // No readable creds.json, the folder never got past the QR code
+    }
+  }
+  return paired;
+};
+
+// Function to copy every users/instance_<id> folder into MySQL, once per instance.
+// Instances that already have credentials in MySQL are left alone, the folders are kept as a backup
+export const migrateAuthStateFolders = async () => {
+  const pool = await connectDB();
+  await checkAuthStateTable(pool);
+
+  const summary = { migrated: [], skipped: [] };
+  if (!fs.existsSync(USERS_DIR)) return summary;
+
+  const entries = await fs.promises.readdir(USERS_DIR, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !entry.name.startsWith('instance_')) continue;
+    const instanceId = entry.name.slice('instance_'.length);
+    const authFolder = getAuthFolder(instanceId);
+
+    const [existing] = await pool.query(
+      "SELECT 1 FROM whatsapp_auth_state WHERE instance_id = ? AND data_key = 'creds'",
+      [instanceId]
+    );
+    if (existing.length > 0) {
+      summary.skipped.push({ instanceId, reason: 'already in MySQL' });
+      continue;
+    }
+    if (!fs.existsSync(path.join(authFolder, 'creds.json'))) {
+      summary.skipped.push({ instanceId, reason: 'no creds.json' });
+      continue;
+    }
+
+    const files = (await fs.promises.readdir(authFolder)).filter(file => file.endsWith('.json'));
+    const rows = [];
+    for (const file of files) {
+      const value = await fs.promises.readFile(path.join(authFolder, file), 'utf8');
+      // Files are written with BufferJSON already, parse only to skip broken ones
+      try {
+        JSON.parse(value);
+        rows.push([instanceId, file.slice(0, -'.json'.length), value]);
+      } catch (error) {
+        logger.warn('Skipping unreadable auth file:', { instanceId, file });
+      }
+    }
+
+    // creds is written last, so an interrupted migration is retried on the next run
+    rows.sort((a, b) => (a[1] === 'creds') - (b[1] === 'creds'));
+    for (let i = 0; i < rows.length; i += 500) {
+      await pool.query(
+        'INSERT INTO whatsapp_auth_state (instance_id, data_key, value) VALUES ? ON DUPLICATE KEY UPDATE value = VALUES(value)',
+        [rows.slice(i, i + 500)]
+      );
+    }
+
+    summary.migrated.push({ instanceId, keys: rows.length });
+    logger.info('Auth state migrated to MySQL:', { instanceId, keys: rows.length });
+  }
+
+  return summary;
+};
@@ -32,4 +32,14 @@ const connectDB = () => {
   }
 };
 
+// Add a column to an existing table, ignoring it if it is already there
+export const addColumnIfMissing = async (pool, table, column, definition) => {
+  try {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${column} to ${table}`);
+  } catch (error) {
+    if (error.code !== 'ER_DUP_FIELDNAME') throw error;
+  }
+};
+
 export default connectDB;
@@ -0,0 +1,16 @@
+// src/db/migrateAuthState.js
+
+// One-time copy of the users/instance_<id> auth folders into MySQL, run it before setting AUTH_STATE_STORE=mysql:
+// npm run migrate:auth-state
+import 'dotenv/config';
+import { migrateAuthStateFolders } from "./authState.js";
+
+try {
+  const summary = await migrateAuthStateFolders();
+  console.log(`Migrated ${summary.migrated.length} instances, skipped ${summary.skipped.length}`);
+  summary.skipped.forEach(({ instanceId, reason }) => console.log(`  skipped ${instanceId}: ${reason}`));
+  process.exit(0);
+} catch (error) {
+  console.error("Auth state migration FAILED:", error.message);
+  process.exit(1);
+}
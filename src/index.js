@@ -1,6 +1,7 @@
 // src/index.js
 
-import dotenv from "dotenv";
+// Loaded before anything else, modules read their environment variables and connect to MySQL as they are imported
+import 'dotenv/config';
 import http from "http";
 import https from "https";  // Import https for secure connections
 import fs from "fs";  // Import fs to read SSL certificates
@@ -9,10 +10,6 @@ import { app } from './app.js';
 import 'colors';
 // import { logger } from "./logger.js";
 
-dotenv.config({
-  path: './.env'
-});
-
 // Verify necessary environment variables
 if (!process.env.PORT) {
   console.error("❌ PORT environment variable is missing. Please set it in the .env file.".red.bold);
@@ -9,7 +9,8 @@ dotenv.config();  // Load environment variables
 // General middleware for protected routes
 export const authenticateToken = (req, res, next) => {
     const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+    // EventSource cannot set headers, so event streams may pass the token as ?access_token=
+    const token = (authHeader && authHeader.split(' ')[1]) || req.query.access_token;
     
     if (!token) {
         return res.status(403).json({ message: "Access denied. No token provided." });
@@ -77,4 +78,31 @@ export const attachWhatsAppInstance = async (req, res, next) => {
         console.error('Error in attachWhatsAppInstance middleware:', error);
         res.status(500).json({ message: 'Internal server error' });
     }
-};
\ No newline at end of file
+};
+
+// Middleware to ensure the instance in the URL belongs to the logged in user
+export const verifyInstanceOwnership = async (req, res, next) => {
+    try {
+        const instanceId = req.params.instanceId || req.params.id;
+
+        if (!instanceId) {
+            return res.status(400).json({ message: "Instance ID is required" });
+        }
+
+        const connection = await connectDB();
+        const [rows] = await connection.execute(
+            'SELECT instance_id FROM instances WHERE instance_id = ? AND register_id = ?',
+            [instanceId, req.user.email]
+        );
+
+        if (rows.length === 0) {
+            return res.status(403).json({ message: 'Access denied. Instance does not belong to user.' });
+        }
+
+        req.instanceId = instanceId;
+        next();
+    } catch (error) {
+        console.error('Error in verifyInstanceOwnership middleware:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+};
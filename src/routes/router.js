@@ -24,18 +24,61 @@ import {
 
 import { verifyRegistration, verifyContact } from '../controllers/verify.js';
 
-import { resetInstance, generateQRCode, getConnectionStatus } from '../controllers/qrcode.js';
+import { resetInstance, generateQRCode, streamQRCode, generatePairingCode, getConnectionStatus } from '../controllers/qrcode.js';
 
 import { saveInstanceToDB } from '../controllers/instances.js';
 
 import { uploadMedia, uploadCSV } from '../controllers/fileUpload.js';
 
 import { sendMedia } from '../controllers/messages.js';
+import { getSendJobStatus, streamSendJobProgress } from '../controllers/sendJobs.js';
+import { registerWebhook, listWebhooks, deleteWebhook, getWebhookDeliveries, replayWebhookDelivery } from '../controllers/instanceWebhooks.js';
+import {
+    createCampaign,
+    listCampaigns,
+    getCampaignDetails,
+    startCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign
+} from '../controllers/campaigns.js';
+import {
+    createRecurringSchedule,
+    listRecurringSchedules,
+    getRecurringSchedule,
+    updateRecurringSchedule,
+    pauseRecurringSchedule,
+    resumeRecurringSchedule
+} from '../controllers/recurringSchedules.js';
+import { getConversations, getConversationMessages, replyToConversation } from '../controllers/inbox.js';
+import { getInstanceSendWindow, setInstanceSendWindow, deleteInstanceSendWindow } from '../controllers/sendWindows.js';
+import {
+    listThrottleProfiles,
+    getInstanceThrottleProfile,
+    setInstanceThrottleProfile,
+    deleteInstanceThrottleProfile
+} from '../controllers/throttling.js';
+import {
+    createFailoverGroup,
+    listFailoverGroups,
+    getFailoverGroup,
+    updateFailoverGroup,
+    deleteFailoverGroup,
+    getFailoverEvents
+} from '../controllers/failover.js';
+import { getInstancesHealth } from '../controllers/instanceHealth.js';
 import { getSubscriptionDetails, checkSubscription } from '../controllers/subscription.js';
-// import { saveScheduledMessage } from '../controllers/schedule.js';
-
-import { authenticateToken, attachWhatsAppInstance } from '../middlewares/auth.js';
+import {
+    createScheduledMessages,
+    listScheduledMessages,
+    getScheduledMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage
+} from '../controllers/schedule.js';
+
+import { authenticateToken, attachWhatsAppInstance, verifyInstanceOwnership } from '../middlewares/auth.js';
 import { validateSession } from '../middlewares/sessionMiddleware.js';
+import { adminMiddleware } from '../middlewares/adminMiddleware.js';
 
 // Add this with your other imports
 import { handleWebhook } from '../controllers/webhook.js';
@@ -47,7 +90,8 @@ import {
     checkEmailRegistration
 } from '../controllers/registration.js';  
 
-// import { getMessageReports, getMessageStatusSummary, getDailyMessageCount } from '../controllers/reports.js';
+import { getMessageReports, getMessageStatusSummary, getDailyMessageCount, exportMessageReports } from '../controllers/reports.js';
+import { getLatencyAnalytics, getCampaignLatencyAnalytics, getCampaignEngagement } from '../controllers/analytics.js';
 import { initiateKYC, submitOTP, checkVerification, saveCustomerDetails, getCustomerDetails } from '../controllers/kycController.js';
 
 const router = express.Router();
@@ -170,6 +214,8 @@ router.get('/:email/check-kyc', authenticateToken, checkVerification);
 
 // Protected instance routes
 router.get('/:id/qrcode', authenticateToken, generateQRCode);
+router.get('/:id/qrcode/stream', authenticateToken, verifyInstanceOwnership, streamQRCode);
+router.post('/:id/pairing-code', authenticateToken, verifyInstanceOwnership, generatePairingCode);
 router.get('/:id/status', authenticateToken, getConnectionStatus);
 router.post('/:id/reset', authenticateToken, resetInstance);
 
@@ -184,44 +230,67 @@ router.post('/:id/upload-csv', authenticateToken, uploadCSV);
 // Route for sending media
 router.post('/:instanceId/send-media', authenticateToken, attachWhatsAppInstance, sendMedia);
 
-// // Route for scheduling messages
-// router.post('/schedule-message', authenticateToken, async (req, res) => {
-//     try {
-//         const { instance_id, recipient, message, schedule_time, media, caption } = req.body;
-        
-//         if (!instance_id || !recipient || !message ) {
-//             return res.status(400).json({
-//                 success: false,
-//                 message: "Missing required fields"
-//             });
-//         }
-
-//         // Only validate schedule_time if it's provided
-//         if (schedule_time) {
-//             const scheduledTime = new Date(schedule_time);
-//             if (scheduledTime <= new Date()) {
-//                 return res.status(400).json({
-//                     success: false,
-//                     messaxge: "Schedule time must be in the future"
-//                 });
-//             }
-//         }
-
-//         const savedIds = await saveScheduledMessage(instance_id, recipient, message, media || null, caption || null, schedule_time);
-        
-//         res.json({
-//             success: true,
-//             message: "Message scheduled successfully",
-//             data: savedIds
-//         });
-//     } catch (error) {
-//         console.error('Error scheduling message:', error);
-//         res.status(500).json({
-//             success: false,
-//             message: error.message
-//         });
-//     }
-// });
+// Send job progress routes
+router.get('/:instanceId/send-jobs/:jobId', authenticateToken, verifyInstanceOwnership, getSendJobStatus);
+router.get('/:instanceId/send-jobs/:jobId/events', authenticateToken, verifyInstanceOwnership, streamSendJobProgress);
+
+// Inbox routes
+router.get('/:instanceId/inbox', authenticateToken, verifyInstanceOwnership, getConversations);
+router.get('/:instanceId/inbox/:jid', authenticateToken, verifyInstanceOwnership, getConversationMessages);
+router.post('/:instanceId/conversations/:jid/reply', authenticateToken, verifyInstanceOwnership, attachWhatsAppInstance, replyToConversation);
+
+// Outbound webhook routes
+router.post('/:instanceId/webhooks', authenticateToken, verifyInstanceOwnership, registerWebhook);
+router.get('/:instanceId/webhooks', authenticateToken, verifyInstanceOwnership, listWebhooks);
+router.delete('/:instanceId/webhooks/:webhookId', authenticateToken, verifyInstanceOwnership, deleteWebhook);
+router.get('/:instanceId/webhook-deliveries', authenticateToken, verifyInstanceOwnership, getWebhookDeliveries);
+router.post('/:instanceId/webhook-deliveries/:deliveryId/replay', authenticateToken, verifyInstanceOwnership, replayWebhookDelivery);
+
+// Campaign routes
+router.post('/:instanceId/campaigns', authenticateToken, verifyInstanceOwnership, createCampaign);
+router.get('/:instanceId/campaigns', authenticateToken, verifyInstanceOwnership, listCampaigns);
+router.get('/:instanceId/campaigns/:campaignId', authenticateToken, verifyInstanceOwnership, getCampaignDetails);
+router.post('/:instanceId/campaigns/:campaignId/start', authenticateToken, verifyInstanceOwnership, startCampaign);
+router.post('/:instanceId/campaigns/:campaignId/pause', authenticateToken, verifyInstanceOwnership, pauseCampaign);
+router.post('/:instanceId/campaigns/:campaignId/resume', authenticateToken, verifyInstanceOwnership, resumeCampaign);
+router.post('/:instanceId/campaigns/:campaignId/cancel', authenticateToken, verifyInstanceOwnership, cancelCampaign);
+
+// Recurring schedule routes
+router.post('/:instanceId/recurring-schedules', authenticateToken, verifyInstanceOwnership, createRecurringSchedule);
+router.get('/:instanceId/recurring-schedules', authenticateToken, verifyInstanceOwnership, listRecurringSchedules);
+router.get('/:instanceId/recurring-schedules/:scheduleId', authenticateToken, verifyInstanceOwnership, getRecurringSchedule);
+router.patch('/:instanceId/recurring-schedules/:scheduleId', authenticateToken, verifyInstanceOwnership, updateRecurringSchedule);
+router.post('/:instanceId/recurring-schedules/:scheduleId/pause', authenticateToken, verifyInstanceOwnership, pauseRecurringSchedule);
+router.post('/:instanceId/recurring-schedules/:scheduleId/resume', authenticateToken, verifyInstanceOwnership, resumeRecurringSchedule);
+
+// Scheduled message routes
+router.post('/:instanceId/scheduled-messages', authenticateToken, verifyInstanceOwnership, createScheduledMessages);
+router.get('/:instanceId/scheduled-messages', authenticateToken, verifyInstanceOwnership, listScheduledMessages);
+router.get('/:instanceId/scheduled-messages/:messageId', authenticateToken, verifyInstanceOwnership, getScheduledMessage);
+router.patch('/:instanceId/scheduled-messages/:messageId', authenticateToken, verifyInstanceOwnership, updateScheduledMessage);
+router.delete('/:instanceId/scheduled-messages/:messageId', authenticateToken, verifyInstanceOwnership, cancelScheduledMessage);
+
+// Send window routes
+router.get('/:instanceId/send-window', authenticateToken, verifyInstanceOwnership, getInstanceSendWindow);
+router.put('/:instanceId/send-window', authenticateToken, verifyInstanceOwnership, setInstanceSendWindow);
+router.delete('/:instanceId/send-window', authenticateToken, verifyInstanceOwnership, deleteInstanceSendWindow);
+
+// Throttle profile routes, instanceId "default" is the profile of instances without their own
+router.get('/admin/throttle-profiles', authenticateToken, adminMiddleware, listThrottleProfiles);
+router.get('/admin/throttle-profiles/:instanceId', authenticateToken, adminMiddleware, getInstanceThrottleProfile);
+router.put('/admin/throttle-profiles/:instanceId', authenticateToken, adminMiddleware, setInstanceThrottleProfile);
+router.delete('/admin/throttle-profiles/:instanceId', authenticateToken, adminMiddleware, deleteInstanceThrottleProfile);
+
+// Connection and send health of every instance for the ops team
+router.get('/instances/health', authenticateToken, adminMiddleware, getInstancesHealth);
+
+// Failover groups: pending work of a disconnected instance moves to another instance of the group
+router.post('/failover-groups', authenticateToken, createFailoverGroup);
+router.get('/failover-groups', authenticateToken, listFailoverGroups);
+router.get('/failover-groups/:groupId', authenticateToken, getFailoverGroup);
+router.put('/failover-groups/:groupId', authenticateToken, updateFailoverGroup);
+router.delete('/failover-groups/:groupId', authenticateToken, deleteFailoverGroup);
+router.get('/failover-groups/:groupId/events', authenticateToken, getFailoverEvents);
 
 // Add this with your other routes
 router.post('/wix-webhook', express.json(), async (req, res) => {
@@ -234,10 +303,16 @@ router.post('/wix-webhook', express.json(), async (req, res) => {
     }
 });
 
-// // Message reports routes
-// router.get('/:instance_id/message-reports', authenticateToken, getMessageReports);
-// router.get('/:instance_id/message-status-summary', authenticateToken, getMessageStatusSummary);
-// router.get('/:instance_id/daily-message-count', authenticateToken, getDailyMessageCount);
+// Message reports routes
+router.get('/:instanceId/message-reports', authenticateToken, verifyInstanceOwnership, getMessageReports);
+router.get('/:instanceId/message-status-summary', authenticateToken, verifyInstanceOwnership, getMessageStatusSummary);
+router.get('/:instanceId/daily-message-count', authenticateToken, verifyInstanceOwnership, getDailyMessageCount);
+router.get('/:instanceId/reports/export', authenticateToken, verifyInstanceOwnership, exportMessageReports);
+
+// Delivery and read analytics routes
+router.get('/:instanceId/analytics/latency', authenticateToken, verifyInstanceOwnership, getLatencyAnalytics);
+router.get('/:instanceId/campaigns/:campaignId/analytics', authenticateToken, verifyInstanceOwnership, getCampaignLatencyAnalytics);
+router.get('/:instanceId/campaigns/:campaignId/engagement', authenticateToken, verifyInstanceOwnership, getCampaignEngagement);
 
 
 router.get('/verify-registration/:email', verifyRegistration);